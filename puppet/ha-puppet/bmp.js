@@ -1,20 +1,76 @@
-const supportedBitsPerPixel = [1, 24];
+const supportedBitsPerPixel = [1, 2, 4, 8, 24];
+
+/**
+ * Grey color table for indexed BMPs
+ * The table is always the full ramp of 2^bpp evenly spaced levels from
+ * black to white, so an index means the same grey level in every image,
+ * which is what grey-level e-ink controllers expect.
+ * @param {number} bitsPerPixel - 2, 4 or 8
+ * @returns {number[][]} [r, g, b] palette
+ */
+export function greyRamp(bitsPerPixel) {
+  const size = 2 ** bitsPerPixel;
+  return Array.from({ length: size }, (_, index) => {
+    const level = Math.round((index * 255) / (size - 1));
+    return [level, level, level];
+  });
+}
+
+/**
+ * Map grey pixels onto the nearest entry of greyRamp(bitsPerPixel)
+ * @param {Buffer} data - Raw greyscale pixels, one byte per pixel
+ * @param {number} bitsPerPixel - 2, 4 or 8
+ * @returns {Buffer} One palette index per pixel
+ */
+export function greyRampIndices(data, bitsPerPixel) {
+  const maxIndex = 2 ** bitsPerPixel - 1;
+  const indices = Buffer.alloc(data.length);
+  for (let i = 0; i < data.length; i++) {
+    indices[i] = Math.round((data[i] * maxIndex) / 255);
+  }
+  return indices;
+}
 
 export class BMPEncoder {
-  constructor(width, height, bitsPerPixel) {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number} bitsPerPixel - 1, 2, 4, 8 or 24
+   * @param {object} options
+   * @param {number[][]} options.palette - [r, g, b] color table, required for 2, 4 and 8 bpp and optional for 1 bpp
+   * @param {boolean} options.topDown - Store rows top to bottom instead of the default bottom-up order
+   */
+  constructor(width, height, bitsPerPixel, { palette, topDown = false } = {}) {
     this.width = width;
     this.height = height;
     this.bitsPerPixel = bitsPerPixel;
+    this.topDown = topDown;
     if (!supportedBitsPerPixel.includes(bitsPerPixel)) {
       throw new Error(`Unsupported bits per pixel. Supported values are: ${supportedBitsPerPixel.join(", ")}`);
     }
 
-    let padding = (this.width * (this.bitsPerPixel / 8)) % 4;
-    if (padding > 0) {
-      padding = 4 - padding;
+    // Without a palette, 1 bpp takes grey pixels rather than palette indices
+    this.indexed = this.bitsPerPixel === 1 ? Boolean(palette) : this.bitsPerPixel !== 24;
+
+    if (this.bitsPerPixel === 1 && !palette) {
+      // Color palette 0 - black, 1 - white
+      this.palette = [[0, 0, 0], [255, 255, 255]];
+    } else if (this.indexed) {
+      if (!palette || palette.length === 0) {
+        throw new Error(`A color palette is required for ${this.bitsPerPixel} bits per pixel`);
+      }
+      if (palette.length > 2 ** this.bitsPerPixel) {
+        throw new Error(`Palette has ${palette.length} colors, but ${this.bitsPerPixel} bits per pixel allows at most ${2 ** this.bitsPerPixel}`);
+      }
+      this.palette = palette;
+    } else {
+      this.palette = [];
     }
-    this.padding = padding;
-    this.paddedWidthBytes = Math.ceil(this.width * (this.bitsPerPixel / 8)) + padding;
+
+    // Rows are padded to a multiple of 4 bytes
+    const rowBytes = Math.ceil((this.width * this.bitsPerPixel) / 8);
+    this.paddedWidthBytes = Math.ceil(rowBytes / 4) * 4;
+    this.padding = this.paddedWidthBytes - rowBytes;
   };
 
   encode(data) {
@@ -24,8 +80,9 @@ export class BMPEncoder {
   };
 
   createHeader() {
-    const headerSize = this.bitsPerPixel === 1 ? 62 : 54;
-    const fileSize = headerSize + this.height * this.paddedWidthBytes;
+    const headerSize = 54 + this.palette.length * 4;
+    const imageSize = this.height * this.paddedWidthBytes;
+    const fileSize = headerSize + imageSize;
     const header = Buffer.alloc(headerSize);
     header.write("BM", 0, 2, "ascii");
     header.writeUInt32LE(fileSize, 2);
@@ -33,50 +90,45 @@ export class BMPEncoder {
     header.writeUInt32LE(headerSize, 10);
     header.writeUInt32LE(40, 14);
     header.writeInt32LE(this.width, 18);
-    header.writeInt32LE(this.height, 22); // Negative height for top-down DIB
+    header.writeInt32LE(this.topDown ? -this.height : this.height, 22); // Negative height for top-down DIB
     header.writeUInt16LE(1, 26); // Number of color planes
     header.writeUInt16LE(this.bitsPerPixel, 28); // Bits per pixel
     header.writeUInt32LE(0, 30); // Compression (none)
-    header.writeUInt32LE(this.width * this.height * (this.bitsPerPixel / 8), 34); // Image size
+    header.writeUInt32LE(imageSize, 34); // Image size
     header.writeInt32LE(0, 38); // Horizontal resolution (pixels per meter)
     header.writeInt32LE(0, 42); // Vertical resolution (pixels per meter)
-    header.writeUInt32LE(this.bitsPerPixel === 1 ? 2 : 0, 46); // Number of colors in color palette
-    header.writeUInt32LE(this.bitsPerPixel === 1 ? 2 : 0, 50); // Important colors
-    if (this.bitsPerPixel === 1) {
-      header.writeUInt32LE(0x00000000, 54); // Color palette 0 - black
-      header.writeUInt32LE(0x00FFFFFF, 58); // Color palette 1 - white
-    }
+    header.writeUInt32LE(this.palette.length, 46); // Number of colors in color palette
+    header.writeUInt32LE(this.palette.length, 50); // Important colors
+    this.palette.forEach(([r, g, b], index) => {
+      // Color table entries are stored as BGR0
+      header.writeUInt8(b, 54 + index * 4);
+      header.writeUInt8(g, 55 + index * 4);
+      header.writeUInt8(r, 56 + index * 4);
+    });
     return header;
   };
 
-  // Handles bitsPerPixel 1, 24
+  /**
+   * Byte offset in the pixel data where image row y starts
+   */
+  rowOffset(y) {
+    const row = this.topDown ? y : this.height - 1 - y;
+    return row * this.paddedWidthBytes;
+  }
+
+  // Handles bitsPerPixel 1, 2, 4, 8 and 24
+  // 1 bpp without a palette expects one grey byte per pixel (0xFF is white),
+  // indexed modes expect one palette index per pixel and 24 bpp expects packed RGB.
 
   createPixelData(imageData) {
-    let offset = 0;
+    // Buffer.alloc zero-fills, so row padding needs no explicit writes
     const pixelData = Buffer.alloc(this.height * this.paddedWidthBytes);
 
-    if (this.bitsPerPixel === 1) {
+    if (this.bitsPerPixel === 24) {
       for (let y = 0; y < this.height; y++) {
+        let offset = this.rowOffset(y);
         for (let x = 0; x < this.width; x++) {
-          const pixel = imageData[y * this.width + x];
-          const byteIndex = ((this.height - 1 - y) * this.paddedWidthBytes + Math.floor(x / 8));
-          const bitIndex = x % 8;
-          const currentByte = pixelData.readUInt8(byteIndex);
-          if (pixel == 0xFF) {
-            pixelData.writeUInt8(currentByte | (1 << (7 - bitIndex)), byteIndex);
-          } else {
-            pixelData.writeUInt8(currentByte & ~(1 << (7 - bitIndex)), byteIndex);
-          }
-        }
-        offset += Math.ceil(this.width / 8);
-        for (let p = 0; p < this.padding; p++) {
-          pixelData.writeUInt8(0, offset++);
-        }
-      }
-    } else if (this.bitsPerPixel === 24) {
-      for (let y = this.height - 1; y >= 0; y--) {
-        for (let x = 0; x < this.width; x++) {
-          const sourceIndex = (y * this.paddedWidthBytes) + (x * 3);
+          const sourceIndex = (y * this.width + x) * 3;
           const r = imageData[sourceIndex];
           const g = imageData[sourceIndex + 1];
           const b = imageData[sourceIndex + 2];
@@ -84,9 +136,22 @@ export class BMPEncoder {
           pixelData.writeUInt8(g, offset++);
           pixelData.writeUInt8(r, offset++);
         }
-        for (let p = 0; p < this.padding; p++) {
-          pixelData.writeUInt8(0, offset++);
+      }
+      return pixelData;
+    }
+
+    const pixelsPerByte = 8 / this.bitsPerPixel;
+    for (let y = 0; y < this.height; y++) {
+      const rowStart = this.rowOffset(y);
+      for (let x = 0; x < this.width; x++) {
+        const pixel = imageData[y * this.width + x];
+        let value = pixel;
+        if (!this.indexed) {
+          value = pixel == 0xFF ? 1 : 0;
         }
+        const byteIndex = rowStart + Math.floor(x / pixelsPerByte);
+        const shift = 8 - this.bitsPerPixel * ((x % pixelsPerByte) + 1);
+        pixelData[byteIndex] |= value << shift;
       }
     }
 
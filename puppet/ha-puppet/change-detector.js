@@ -0,0 +1,62 @@
+import { createHash } from "node:crypto";
+import sharp from "sharp";
+
+/**
+ * Change detection between consecutive captures
+ *
+ * "hash" compares the encoded output byte for byte, "perceptual" compares a
+ * full-resolution greyscale copy of the rendered page, so anti-aliasing
+ * noise is ignored and a changed seconds counter can be tolerated by raising
+ * the threshold. A single changed value or line of text always counts with
+ * the default threshold of 0.
+ */
+
+export const CHANGE_DETECTION_MODES = ["off", "hash", "perceptual"];
+
+// Default share of fingerprint pixels (percent) that must differ
+export const DEFAULT_CHANGE_THRESHOLD = 0;
+
+// Grey level difference below which a fingerprint pixel counts as unchanged
+const PIXEL_TOLERANCE = 16;
+
+/**
+ * Content hash of an encoded image
+ * @param {Buffer} image
+ * @returns {string}
+ */
+export function imageHash(image) {
+  return createHash("sha1").update(image).digest("hex");
+}
+
+/**
+ * Greyscale copy of the page used for perceptual comparison
+ * It keeps the full resolution, as scaling down averages small text away.
+ * @param {Buffer} image - Image in a format sharp can read (e.g. the PNG screenshot)
+ * @returns {Promise<Buffer>} One grey byte per pixel
+ */
+export async function createFingerprint(image) {
+  return sharp(image)
+    .flatten({ background: "#ffffff" })
+    .greyscale()
+    .raw()
+    .toBuffer();
+}
+
+/**
+ * Percentage of fingerprint pixels that differ between two captures
+ * @param {Buffer} a - Fingerprint from createFingerprint()
+ * @param {Buffer} b - Fingerprint from createFingerprint()
+ * @returns {number} 0-100
+ */
+export function fingerprintDifference(a, b) {
+  if (a.length !== b.length) {
+    return 100;
+  }
+  let changed = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (Math.abs(a[i] - b[i]) > PIXEL_TOLERANCE) {
+      changed++;
+    }
+  }
+  return (changed / a.length) * 100;
+}
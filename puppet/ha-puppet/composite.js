@@ -0,0 +1,105 @@
+import sharp from "sharp";
+
+/**
+ * Composite layouts that tile several dashboards into one image
+ *
+ * A job with "composite" renders each of its "parts" on its own page and
+ * places them in a grid of "columns", or at explicit x/y/width/height
+ * rectangles. The combined image then goes through the job's eink,
+ * palette, rotate and format settings like a single screenshot.
+ */
+
+const DEFAULT_BACKGROUND = "#ffffff";
+
+/**
+ * Areas of the parts in the combined image
+ * @param {object} composite - Job "composite" config
+ * @param {{width: number, height: number}} canvas - Size of the combined image
+ * @returns {Array<{left: number, top: number, width: number, height: number}>}
+ */
+export function layoutComposite(composite, canvas) {
+  const { parts, columns = parts.length, gap = 0 } = composite;
+  if (!Array.isArray(parts) || parts.length === 0) {
+    throw new Error('"parts" must list at least one dashboard');
+  }
+
+  const explicit = parts.filter((part) => part.x !== undefined || part.y !== undefined);
+  if (explicit.length > 0) {
+    if (explicit.length < parts.length) {
+      throw new Error('either every part or none sets "x" and "y"');
+    }
+    return parts.map((part, index) => {
+      const area = { left: part.x, top: part.y, width: part.width, height: part.height };
+      if (part.x === undefined || part.y === undefined) {
+        throw new Error(`part ${index + 1} must set both "x" and "y"`);
+      }
+      if (!(area.width > 0 && area.height > 0)) {
+        throw new Error(`part ${index + 1} at x/y must set "width" and "height"`);
+      }
+      if (
+        !Object.values(area).every(Number.isFinite) ||
+        area.left < 0 ||
+        area.top < 0 ||
+        area.left + area.width > canvas.width ||
+        area.top + area.height > canvas.height
+      ) {
+        throw new Error(
+          `part ${index + 1} (${area.width}x${area.height} at ${area.left},${area.top}) does not fit in the ${canvas.width}x${canvas.height} image`,
+        );
+      }
+      return area;
+    });
+  }
+
+  const sized = parts.findIndex((part) => part.width !== undefined || part.height !== undefined);
+  if (sized !== -1) {
+    throw new Error(
+      `part ${sized + 1} sets "width"/"height", which only apply with "x" and "y" (use "viewport" to render it at another size)`,
+    );
+  }
+
+  const rows = Math.ceil(parts.length / columns);
+  const width = Math.floor((canvas.width - gap * (columns - 1)) / columns);
+  const height = Math.floor((canvas.height - gap * (rows - 1)) / rows);
+  if (width < 1 || height < 1) {
+    throw new Error(`${columns} columns and ${rows} rows with a gap of ${gap} don't fit in the ${canvas.width}x${canvas.height} image`);
+  }
+  return parts.map((part, index) => ({
+    left: (index % columns) * (width + gap),
+    top: Math.floor(index / columns) * (height + gap),
+    width,
+    height,
+  }));
+}
+
+/**
+ * Place the rendered parts on one image
+ * Parts that don't match the size of their area are scaled to fit it.
+ * @param {Buffer[]} images - Rendered parts, in the order of the areas
+ * @param {object[]} areas - From layoutComposite
+ * @param {{width: number, height: number}} canvas - Size of the combined image
+ * @param {string} background - Color around and between the parts
+ * @returns {Promise<Buffer>} PNG image
+ */
+export async function composeImage(images, areas, canvas, background = DEFAULT_BACKGROUND) {
+  const layers = await Promise.all(
+    images.map(async (image, index) => {
+      const area = areas[index];
+      const { width, height } = await sharp(image).metadata();
+      const input =
+        width === area.width && height === area.height
+          ? image
+          : await sharp(image)
+            .resize(area.width, area.height, { fit: "contain", background })
+            .toBuffer();
+      return { input, left: area.left, top: area.top };
+    }),
+  );
+
+  return sharp({
+    create: { width: canvas.width, height: canvas.height, channels: 3, background },
+  })
+    .composite(layers)
+    .png()
+    .toBuffer();
+}
@@ -0,0 +1,240 @@
+import { readFileSync } from "fs";
+
+/**
+ * Validates configuration against config-schema.json
+ *
+ * Implements the part of JSON Schema (draft-07) the schema uses: type,
+ * enum, minimum/maximum, exclusiveMinimum, pattern, minItems/maxItems,
+ * required, dependencies (lists of keys), properties, additionalProperties,
+ * items, anyOf/oneOf/allOf and local $refs. Errors point at the offending field and name the
+ * screenshot or device it belongs to, e.g.
+ *   screenshots[1] ("kitchen").interval: must be >= 10 (got 5)
+ */
+
+export const CONFIG_SCHEMA = JSON.parse(
+  readFileSync(new URL("./config-schema.json", import.meta.url), "utf8"),
+);
+
+// Lists whose entries are referred to by their "name" or "id" in errors
+const NAMED_LISTS = { screenshots: "name", devices: "id" };
+
+// Numeric settings that config.yaml declares as list(...), the Supervisor
+// writes those to options.json as strings (e.g. "eink": "2")
+const NUMERIC_LIST_SETTINGS = { screenshots: ["eink", "rotate"], devices: ["rotate"] };
+
+function typeOf(value) {
+  if (value === null) {
+    return "null";
+  }
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (typeof value === "number" && Number.isInteger(value)) {
+    return "integer";
+  }
+  return typeof value;
+}
+
+function hasType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === "number" && actual === "integer");
+}
+
+function withArticle(type) {
+  return /^[aeiou]/.test(type) ? `an ${type}` : `a ${type}`;
+}
+
+function resolve(schema, root) {
+  while (schema.$ref) {
+    if (!schema.$ref.startsWith("#/")) {
+      throw new Error(`Unsupported schema reference "${schema.$ref}"`);
+    }
+    schema = schema.$ref
+      .substring(2)
+      .split("/")
+      .reduce((node, key) => node[key], root);
+  }
+  return schema;
+}
+
+/**
+ * Validate a value against a schema, collecting errors
+ * @param {object} schema
+ * @param {*} value
+ * @param {Array<string|number>} path - Keys leading to the value
+ * @param {object[]} errors - Receives {path, message, missing?} entries
+ * @param {object} root - Schema that $refs point into
+ */
+function check(schema, value, path, errors, root) {
+  schema = resolve(schema, root);
+  const fail = (message, extra = {}) => errors.push({ path, message, ...extra });
+
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => hasType(value, type))) {
+      fail(`must be ${types.map(withArticle).join(" or ")} (got ${typeOf(value)})`);
+      return;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    fail(`must be one of: ${schema.enum.join(", ")} (got ${JSON.stringify(value)})`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      fail(`must be >= ${schema.minimum} (got ${value})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      fail(`must be <= ${schema.maximum} (got ${value})`);
+    }
+    if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+      fail(`must be > ${schema.exclusiveMinimum} (got ${value})`);
+    }
+  }
+
+  if (typeof value === "string" && schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    fail(`${JSON.stringify(value)} is not valid (${schema.description || `must match ${schema.pattern}`})`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      fail(`must have at least ${schema.minItems} entries`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      fail(`must have at most ${schema.maxItems} entries`);
+    }
+    if (schema.items) {
+      value.forEach((item, index) => check(schema.items, item, [...path, index], errors, root));
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        fail(`missing required "${key}"`, { missing: key });
+      }
+    }
+    for (const [key, needed] of Object.entries(schema.dependencies || {})) {
+      if (value[key] === undefined) {
+        continue;
+      }
+      for (const other of needed.filter((name) => value[name] === undefined)) {
+        fail(`"${key}" requires "${other}"`);
+      }
+    }
+    const properties = schema.properties || {};
+    for (const [key, item] of Object.entries(value)) {
+      if (properties[key]) {
+        check(properties[key], item, [...path, key], errors, root);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: [...path, key], message: "unknown setting" });
+      }
+    }
+  }
+
+  for (const branch of schema.allOf || []) {
+    check(branch, value, path, errors, root);
+  }
+  for (const branches of [schema.anyOf, schema.oneOf]) {
+    if (branches) {
+      checkBranches(branches, value, path, errors, root);
+    }
+  }
+}
+
+/**
+ * anyOf/oneOf, the branches in this schema never overlap so both are
+ * treated as "at least one must match"
+ */
+function checkBranches(branches, value, path, errors, root) {
+  const results = branches.map((branch) => {
+    const branchErrors = [];
+    check(branch, value, path, branchErrors, root);
+    return { schema: resolve(branch, root), errors: branchErrors };
+  });
+  if (results.some((result) => result.errors.length === 0)) {
+    return;
+  }
+
+  // Branches of another type (e.g. the boolean form of "history") don't
+  // explain why an object failed
+  const fitting = results.filter(
+    ({ schema }) => !schema.type || [].concat(schema.type).some((type) => hasType(value, type)),
+  );
+  if (fitting.length === 0) {
+    const types = results.flatMap(({ schema }) => [].concat(schema.type || []));
+    errors.push({ path, message: `must be ${types.map(withArticle).join(" or ")} (got ${typeOf(value)})` });
+    return;
+  }
+
+  // Alternatives of required settings, e.g. "interval" or "schedule"
+  if (fitting.every((result) => result.errors.every((error) => error.missing && error.path === path))) {
+    const options = fitting.map(({ schema }) => schema.required.map((key) => `"${key}"`).join(" and "));
+    errors.push({ path, message: `must set ${options.join(" or ")}` });
+    return;
+  }
+
+  const closest = fitting.reduce((best, result) => (result.errors.length < best.errors.length ? result : best));
+  errors.push(...closest.errors);
+}
+
+/**
+ * Format an error path, naming screenshots and devices
+ * @param {Array<string|number>} path
+ * @param {object} config - Validated configuration
+ * @returns {string} e.g. screenshots[1] ("kitchen").history.max_count
+ */
+function formatPath(path, config) {
+  let text = "";
+  let node = config;
+  path.forEach((key, index) => {
+    if (typeof key === "number") {
+      text += `[${key}]`;
+      const nameKey = NAMED_LISTS[path[index - 1]];
+      if (index === 1 && nameKey && typeof node?.[key]?.[nameKey] === "string") {
+        text += ` ("${node[key][nameKey]}")`;
+      }
+    } else {
+      text += text ? `.${key}` : key;
+    }
+    node = node?.[key];
+  });
+  return text;
+}
+
+/**
+ * Turn string values of numeric list(...) add-on options into numbers,
+ * so they validate like the same settings in a configuration file
+ * @param {object} config - Scheduler configuration or add-on options, changed in place
+ * @returns {object} The same configuration
+ */
+export function coerceListOptions(config) {
+  for (const [list, keys] of Object.entries(NUMERIC_LIST_SETTINGS)) {
+    if (!Array.isArray(config?.[list])) {
+      continue;
+    }
+    for (const entry of config[list]) {
+      for (const key of keys) {
+        if (typeof entry?.[key] === "string" && /^\d+$/.test(entry[key])) {
+          entry[key] = parseInt(entry[key]);
+        }
+      }
+    }
+  }
+  return config;
+}
+
+/**
+ * Validate a configuration against config-schema.json
+ * @param {object} config - Scheduler configuration or add-on options
+ * @param {object} schema - Defaults to config-schema.json
+ * @returns {string[]} Error messages, empty when the configuration is valid
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  check(schema, config, [], errors, schema);
+  return errors.map(({ path, message }) =>
+    path.length > 0 ? `${formatPath(path, config)}: ${message}` : message,
+  );
+}
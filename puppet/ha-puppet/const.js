@@ -4,24 +4,34 @@ import { readFileSync, existsSync } from "fs";
 const optionsFile = ["./options-dev.json", "/data/options.json"].find(
   existsSync,
 );
-if (!optionsFile) {
-  console.error(
-    "No options file found. Please copy options-dev.json.sample to options-dev.json",
-  );
-  process.exit(1);
-}
 export const isAddOn = optionsFile === "/data/options.json";
-const options = JSON.parse(readFileSync(optionsFile));
+// Missing options are reported by requireOptions(), so that commands which
+// don't talk to Home Assistant (e.g. "validate") run without them
+const options = optionsFile ? JSON.parse(readFileSync(optionsFile)) : {};
 
 export const hassUrl = isAddOn
   ? (options.home_assistant_url || "http://homeassistant:8123")
   : (options.home_assistant_url || "http://localhost:8123");
 export const hassToken = options.access_token;
 export const debug = false;
+export const keepBrowserOpen = options.keep_browser_open || false;
+export const logLevel = options.log_level;
+export const logFormat = options.log_format;
 
 export const chromiumExecutable = isAddOn ? "/usr/bin/chromium" : (options.chromium_executable || "/Applications/Google Chrome.app/Contents/MacOS/Google Chrome");
 
-if (!hassToken) {
-  console.error("No access token found. Please configure the access token");
-  process.exit(1);
+/**
+ * Exit when the options file or the access token is missing
+ */
+export function requireOptions() {
+  if (!optionsFile) {
+    console.error(
+      "No options file found. Please copy options-dev.json.sample to options-dev.json",
+    );
+    process.exit(1);
+  }
+  if (!hassToken) {
+    console.error("No access token found. Please configure the access token");
+    process.exit(1);
+  }
 }
@@ -0,0 +1,104 @@
+import { createHash, timingSafeEqual } from "node:crypto";
+import { sendJson } from "./server.js";
+
+/**
+ * Scheduler control API
+ *
+ * GET /jobs lists every job with its config, next run and last result.
+ * POST /jobs/<name>/capture captures right away (also when paused or
+ * outside the job's hours) and answers with the result, which is what a
+ * Home Assistant button or automation calls. POST /jobs/<name>/pause and
+ * /resume stop and restart the scheduled and triggered captures of a job.
+ *
+ * Every request must send "Authorization: Bearer <token>", with the
+ * "control_token" option, or the Home Assistant access token when that
+ * isn't set, since port 2300 is reachable from the whole network.
+ */
+export class ControlApi {
+  /**
+   * @param {ScreenshotScheduler} scheduler - Scheduler owning the screenshot jobs
+   */
+  constructor(scheduler, accessToken) {
+    this.scheduler = scheduler;
+    this.accessToken = accessToken;
+  }
+
+  register(server) {
+    server
+      .route("GET", "/jobs", (request, response) =>
+        this.authorize(request, response) && this.handleList(response),
+      )
+      .route("POST", /^\/jobs\/([^/]+)\/capture$/, (request, response, { params }) =>
+        this.authorize(request, response) && this.handleCapture(response, params[0]),
+      )
+      .route("POST", /^\/jobs\/([^/]+)\/pause$/, (request, response, { params }) =>
+        this.authorize(request, response) && this.handlePause(response, params[0], true),
+      )
+      .route("POST", /^\/jobs\/([^/]+)\/resume$/, (request, response, { params }) =>
+        this.authorize(request, response) && this.handlePause(response, params[0], false),
+      );
+  }
+
+  /**
+   * Check the bearer token, answering 401 when it is missing or wrong
+   * Read from the config on every request, so a reload applies right away.
+   * @returns {boolean} Whether the request may continue
+   */
+  authorize(request, response) {
+    const expected = this.scheduler.config.control_token || this.accessToken;
+    const match = /^Bearer\s+(.+)$/i.exec(request.headers.authorization || "");
+    // Compare digests, so the comparison takes as long for any token
+    const digest = (value) => createHash("sha256").update(value).digest();
+    if (!expected || !match || !timingSafeEqual(digest(match[1]), digest(expected))) {
+      response.setHeader("WWW-Authenticate", "Bearer");
+      sendJson(response, 401, { error: "Invalid or missing token" });
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Public view of a job
+   */
+  describeJob(name) {
+    const { config } = this.scheduler.jobs.get(name);
+    const nextRun = this.scheduler.nextRun(name);
+    return {
+      name,
+      paused: this.scheduler.paused.has(name),
+      capturing: this.scheduler.capturing.has(name),
+      interval: this.scheduler.currentInterval(config),
+      next_run: nextRun ? nextRun.toISOString() : null,
+      last_result: this.scheduler.jobStatus.get(name) ?? null,
+      config,
+    };
+  }
+
+  handleList(response) {
+    const jobs = [...this.scheduler.jobs.keys()].map((name) => this.describeJob(name));
+    sendJson(response, 200, { jobs });
+  }
+
+  async handleCapture(response, name) {
+    const job = this.scheduler.jobs.get(name);
+    if (!job) {
+      sendJson(response, 404, { error: `Unknown screenshot "${name}"` });
+      return;
+    }
+    const result = await this.scheduler.captureNow(job.config);
+    if (!result) {
+      sendJson(response, 503, { error: "Scheduler is shutting down" });
+      return;
+    }
+    sendJson(response, result.success ? 200 : 500, { name, ...result });
+  }
+
+  handlePause(response, name, pause) {
+    const found = pause ? this.scheduler.pauseJob(name) : this.scheduler.resumeJob(name);
+    if (!found) {
+      sendJson(response, 404, { error: `Unknown screenshot "${name}"` });
+      return;
+    }
+    sendJson(response, 200, this.describeJob(name));
+  }
+}
@@ -0,0 +1,293 @@
+/**
+ * Cron expressions for job schedules
+ *
+ * Standard 5-field syntax: minute hour day-of-month month day-of-week.
+ * Fields accept "*", numbers, ranges (1-5), lists (1,15) and steps (*\/15,
+ * 0-30/10). Months and weekdays accept names (jan, mon). The @hourly,
+ * @daily, @weekly, @monthly and @yearly shortcuts are supported too.
+ * Expressions are evaluated in an IANA timezone, or the local time of the
+ * process when none is given. Like Vixie cron, a fixed time that the clocks
+ * skip when they go forward fires right after the change instead, and one
+ * they repeat when they go back fires only the first time. Expressions with
+ * a wildcard minute or hour follow the clock through both changes.
+ */
+
+const MACROS = {
+  "@yearly": "0 0 1 1 *",
+  "@annually": "0 0 1 1 *",
+  "@monthly": "0 0 1 * *",
+  "@weekly": "0 0 * * 0",
+  "@daily": "0 0 * * *",
+  "@midnight": "0 0 * * *",
+  "@hourly": "0 * * * *",
+};
+
+const MONTH_NAMES = ["jan", "feb", "mar", "apr", "may", "jun", "jul", "aug", "sep", "oct", "nov", "dec"];
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+
+const FIELDS = [
+  { name: "minute", min: 0, max: 59 },
+  { name: "hour", min: 0, max: 23 },
+  { name: "day of month", min: 1, max: 31 },
+  { name: "month", min: 1, max: 12, names: MONTH_NAMES, offset: 1 },
+  // 7 is accepted as Sunday and folded onto 0
+  { name: "day of week", min: 0, max: 7, names: DAY_NAMES, offset: 0 },
+];
+
+// Longest month, leap years included
+const MONTH_DAYS = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+const MINUTE_MS = 60_000;
+// Give up looking for a fire time after this many days, Feb 29 can be
+// 8 years apart (2096 to 2104)
+const MAX_LOOKAHEAD_DAYS = 366 * 8;
+// Clock changes move the wall clock by at most this much
+const MAX_CLOCK_CHANGE_MINUTES = 60;
+
+function parseValue(value, field) {
+  const lower = value.toLowerCase();
+  if (field.names && field.names.includes(lower)) {
+    return field.names.indexOf(lower) + field.offset;
+  }
+  if (!/^\d+$/.test(value)) {
+    throw new Error(`invalid ${field.name} value "${value}"`);
+  }
+  const number = parseInt(value, 10);
+  if (number < field.min || number > field.max) {
+    throw new Error(`${field.name} value ${number} out of range ${field.min}-${field.max}`);
+  }
+  return number;
+}
+
+/**
+ * Parse one cron field into the set of values it allows
+ * @returns {{values: Set<number>, any: boolean}}
+ */
+function parseField(text, field) {
+  const values = new Set();
+  for (const part of text.split(",")) {
+    const [range, stepText] = part.split("/");
+    let step = 1;
+    if (stepText !== undefined) {
+      if (!/^\d+$/.test(stepText) || parseInt(stepText, 10) === 0) {
+        throw new Error(`invalid ${field.name} step "${stepText}"`);
+      }
+      step = parseInt(stepText, 10);
+    }
+
+    let start;
+    let end;
+    if (range === "*") {
+      start = field.min;
+      end = field.max;
+    } else if (range.includes("-")) {
+      const [from, to] = range.split("-");
+      start = parseValue(from, field);
+      end = parseValue(to, field);
+      if (start > end) {
+        throw new Error(`invalid ${field.name} range "${range}"`);
+      }
+    } else {
+      start = parseValue(range, field);
+      // "5/15" means every 15 starting at 5
+      end = stepText !== undefined ? field.max : start;
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(field.name === "day of week" && value === 7 ? 0 : value);
+    }
+  }
+  return { values, any: text === "*", wildcard: text.startsWith("*") };
+}
+
+/**
+ * Minutes to skip when nothing matches for the rest of the day and the
+ * given number of days after it
+ * Stops short by the largest clock change, as the wall clock may move on
+ * the way, and steps by hours from there.
+ * @param {object} fields - Wall clock fields of the current time
+ * @param {number} days - Whole days after today that can be skipped too
+ */
+function skipMinutes({ hour, minute }, days) {
+  const untilMidnight = (days * 24 + 23 - hour) * 60 + 60 - minute;
+  return Math.max(untilMidnight - MAX_CLOCK_CHANGE_MINUTES, 60 - minute);
+}
+
+export class CronExpression {
+  /**
+   * @param {string} expression - Cron expression or @macro
+   * @param {string} timezone - IANA timezone (e.g. Europe/Amsterdam), optional
+   */
+  constructor(expression, timezone = undefined) {
+    this.expression = String(expression).trim();
+    this.timezone = timezone;
+
+    const source = MACROS[this.expression.toLowerCase()] || this.expression;
+    const parts = source.split(/\s+/);
+    if (parts.length !== 5) {
+      throw new Error(`Invalid cron expression "${this.expression}": expected 5 fields, got ${parts.length}`);
+    }
+    try {
+      [this.minutes, this.hours, this.days, this.months, this.weekdays] = parts.map(
+        (part, index) => parseField(part, FIELDS[index]),
+      );
+    } catch (err) {
+      throw new Error(`Invalid cron expression "${this.expression}": ${err.message}`);
+    }
+    // Only the day of month has to match when the day of week is "*"
+    const longestMonth = Math.max(...[...this.months.values].map((month) => MONTH_DAYS[month - 1]));
+    if (this.weekdays.any && Math.min(...this.days.values) > longestMonth) {
+      throw new Error(
+        `Invalid cron expression "${this.expression}": day of month ${parts[2]} never occurs in month ${parts[3]}`,
+      );
+    }
+
+    try {
+      this.formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        year: "numeric",
+        month: "numeric",
+        day: "numeric",
+        hour: "numeric",
+        minute: "numeric",
+        weekday: "short",
+      });
+    } catch (err) {
+      throw new Error(`Invalid timezone "${timezone}"`);
+    }
+  }
+
+  /**
+   * Wall clock fields of a date in the expression's timezone
+   */
+  fieldsOf(date) {
+    const fields = {};
+    for (const { type, value } of this.formatter.formatToParts(date)) {
+      fields[type] = value;
+    }
+    return {
+      minute: parseInt(fields.minute, 10),
+      hour: parseInt(fields.hour, 10),
+      day: parseInt(fields.day, 10),
+      month: parseInt(fields.month, 10),
+      year: parseInt(fields.year, 10),
+      weekday: DAY_NAMES.indexOf(fields.weekday.toLowerCase()),
+    };
+  }
+
+  matchesDay({ day, month, weekday }) {
+    if (!this.months.values.has(month)) {
+      return false;
+    }
+    // Like cron, when both day fields are restricted either one may match
+    if (!this.days.any && !this.weekdays.any) {
+      return this.days.values.has(day) || this.weekdays.values.has(weekday);
+    }
+    return this.days.values.has(day) && this.weekdays.values.has(weekday);
+  }
+
+  /**
+   * Whether a wall clock time already occurred an hour earlier, which
+   * happens when the clocks go back. Cron fires only on the first one for
+   * fixed times, jobs with a wildcard minute or hour fire on both.
+   */
+  isRepeatedTime(time, fields) {
+    if (this.minutes.wildcard || this.hours.wildcard) {
+      return false;
+    }
+    const earlier = this.fieldsOf(new Date(time - 60 * MINUTE_MS));
+    return earlier.hour === fields.hour &&
+      earlier.minute === fields.minute &&
+      earlier.day === fields.day;
+  }
+
+  /**
+   * Whether the clocks just skipped a wall clock time the expression fires
+   * at, which happens when they go forward. Only for fixed times, jobs with
+   * a wildcard minute or hour simply carry on after the gap.
+   * @param {number} time - First instant after a possible gap
+   * @param {object} fields - fieldsOf() the instant
+   */
+  firesInGap(time, fields) {
+    if (this.minutes.wildcard || this.hours.wildcard) {
+      return false;
+    }
+    const before = this.fieldsOf(new Date(time - MINUTE_MS));
+    const minutesOf = ({ hour, minute }) => hour * 60 + minute;
+    const sameDay = before.day === fields.day;
+    const jump = minutesOf(fields) - minutesOf(before) + (sameDay ? 0 : 24 * 60);
+    for (let skipped = 1; skipped < jump; skipped++) {
+      const wall = minutesOf(before) + skipped;
+      const day = wall < 24 * 60 ? before : fields;
+      if (
+        this.matchesDay(day) &&
+        this.hours.values.has(Math.floor(wall / 60) % 24) &&
+        this.minutes.values.has(wall % 60)
+      ) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  /**
+   * Next fire time strictly after a date
+   * @param {Date} after
+   * @returns {Date}
+   */
+  next(after = new Date()) {
+    let time = Math.floor(after.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    const limit = time + MAX_LOOKAHEAD_DAYS * 24 * 60 * MINUTE_MS;
+
+    while (time < limit) {
+      const fields = this.fieldsOf(new Date(time));
+      if (this.firesInGap(time, fields)) {
+        return new Date(time);
+      }
+      if (!this.months.values.has(fields.month)) {
+        const days = new Date(Date.UTC(fields.year, fields.month, 0)).getUTCDate() - fields.day;
+        time += skipMinutes(fields, days) * MINUTE_MS;
+        continue;
+      }
+      if (!this.matchesDay(fields)) {
+        time += skipMinutes(fields, 0) * MINUTE_MS;
+        continue;
+      }
+      if (!this.hours.values.has(fields.hour)) {
+        // Nothing this hour, jump to the start of the next one
+        time += (60 - fields.minute) * MINUTE_MS;
+        continue;
+      }
+      if (this.minutes.values.has(fields.minute) && !this.isRepeatedTime(time, fields)) {
+        return new Date(time);
+      }
+      time += MINUTE_MS;
+    }
+    throw new Error(`Cron expression "${this.expression}" never fires`);
+  }
+
+  /**
+   * The next few fire times, for logging
+   * @param {number} count
+   * @param {Date} after
+   * @returns {Date[]}
+   */
+  nextTimes(count, after = new Date()) {
+    const times = [];
+    let current = after;
+    for (let i = 0; i < count; i++) {
+      current = this.next(current);
+      times.push(current);
+    }
+    return times;
+  }
+
+  /**
+   * Format a date in the expression's timezone
+   */
+  format(date) {
+    return date.toLocaleString("sv-SE", { timeZone: this.timezone }) +
+      (this.timezone ? ` ${this.timezone}` : "");
+  }
+}
@@ -0,0 +1,165 @@
+/**
+ * Registry of display devices
+ *
+ * Maps devices (by friendly ID, MAC address or API key) to the screenshot
+ * jobs they show. A device can rotate through a playlist of jobs, and can
+ * override rotation and invert, in which case a variant of the job is
+ * captured for it.
+ */
+
+const DEFAULT_PLAYLIST_INTERVAL = 300; // seconds
+const ROTATIONS = [0, 90, 180, 270];
+
+function normalizeMac(mac) {
+  return String(mac).trim().toUpperCase().replace(/-/g, ":");
+}
+
+export class DeviceRegistry {
+  /**
+   * @param {object[]} devices - "devices" config section
+   * @param {object[]} screenshots - Validated screenshot job configs
+   */
+  constructor(devices = [], screenshots = []) {
+    this.devices = [];
+    this.variants = new Map();
+
+    const jobs = new Map(screenshots.map((screenshot) => [screenshot.name, screenshot]));
+
+    if (!Array.isArray(devices)) {
+      throw new Error('"devices" must be an array');
+    }
+
+    devices.forEach((device, index) => {
+      if (!device.id) {
+        throw new Error(`Device at index ${index} missing required "id"`);
+      }
+      const id = String(device.id);
+      if (this.devices.some((existing) => existing.id === id)) {
+        throw new Error(`Device "${id}" is defined more than once`);
+      }
+
+      const playlist = [];
+      if (device.screenshot) {
+        playlist.push(device.screenshot);
+      }
+      if (device.playlist) {
+        if (!Array.isArray(device.playlist)) {
+          throw new Error(`Device "${id}" "playlist" must be a list of screenshot names`);
+        }
+        playlist.push(...device.playlist.filter((name) => !playlist.includes(name)));
+      }
+      if (playlist.length === 0) {
+        throw new Error(`Device "${id}" needs a "screenshot" or a "playlist"`);
+      }
+      for (const name of playlist) {
+        if (!jobs.has(name)) {
+          throw new Error(`Device "${id}" refers to unknown screenshot "${name}"`);
+        }
+      }
+
+      let rotate;
+      if (device.rotate !== undefined) {
+        rotate = parseInt(device.rotate);
+        if (!ROTATIONS.includes(rotate)) {
+          throw new Error(`Device "${id}" has invalid "rotate" (must be one of: ${ROTATIONS.join(", ")})`);
+        }
+      }
+
+      const normalized = {
+        id,
+        mac: device.mac ? normalizeMac(device.mac) : undefined,
+        apiKey: device.api_key || undefined,
+        playlist: playlist.map((name) =>
+          this.resolveVariant(jobs.get(name), rotate, device.invert),
+        ),
+        playlistInterval: device.playlist_interval
+          ? parseInt(device.playlist_interval)
+          : DEFAULT_PLAYLIST_INTERVAL,
+      };
+      this.devices.push(normalized);
+    });
+  }
+
+  /**
+   * Name of the job a device should show for a screenshot, creating a
+   * variant job when the device overrides rotation or invert
+   */
+  resolveVariant(job, rotate, invert) {
+    const jobRotate = job.rotate ? parseInt(job.rotate) : 0;
+    const jobInvert = Boolean(job.invert);
+    const wantRotate = rotate === undefined ? jobRotate : rotate;
+    const wantInvert = invert === undefined ? jobInvert : Boolean(invert);
+
+    if (wantRotate === jobRotate && wantInvert === jobInvert) {
+      return job.name;
+    }
+
+    // Devices with the same overrides share one variant
+    const suffix = [wantRotate && `rotate${wantRotate}`, wantInvert && "inverted"]
+      .filter(Boolean)
+      .join("-");
+    const name = `${job.name}--${suffix || "original"}`;
+    if (!this.variants.has(name)) {
+      this.variants.set(name, {
+        ...job,
+        name,
+        rotate: wantRotate || undefined,
+        invert: wantInvert,
+        // The configured job already keeps the history of this page
+        history: undefined,
+        timelapse: undefined,
+      });
+    }
+    return name;
+  }
+
+  /**
+   * Extra screenshot jobs needed for device overrides
+   * @returns {object[]} Screenshot configs to schedule alongside the configured ones
+   */
+  variantJobs() {
+    return [...this.variants.values()];
+  }
+
+  /**
+   * Find a device by friendly ID, MAC address or API key
+   * @param {object} query - { id, mac, apiKey }, any of which may be set
+   * @returns {object|undefined}
+   */
+  find({ id, mac, apiKey }) {
+    return this.devices.find(
+      (device) =>
+        (id !== undefined && device.id === id) ||
+        (mac !== undefined && device.mac === normalizeMac(mac)) ||
+        (apiKey !== undefined && device.apiKey === apiKey),
+    );
+  }
+
+  /**
+   * Job name a device should currently show
+   * Playlists advance every playlistInterval seconds.
+   * @param {object} device - Device from find()
+   * @param {Date} now - Current time
+   * @returns {string}
+   */
+  currentJobName(device, now = new Date()) {
+    if (device.playlist.length === 1) {
+      return device.playlist[0];
+    }
+    const slot = Math.floor(now.getTime() / 1000 / device.playlistInterval);
+    return device.playlist[slot % device.playlist.length];
+  }
+
+  /**
+   * Seconds until a device should fetch its image again
+   * @param {object} device - Device from find()
+   * @param {number} interval - Current refresh interval of the job shown
+   * @returns {number}
+   */
+  refreshRate(device, interval) {
+    if (device.playlist.length > 1) {
+      return Math.min(device.playlistInterval, interval);
+    }
+    return interval;
+  }
+}
@@ -0,0 +1,244 @@
+/**
+ * Dithering for e-ink output.
+ *
+ * Reduces raw pixel data either to a fixed number of evenly spaced grey
+ * levels, or to the nearest entries of an explicit RGB palette.
+ */
+
+export const DITHER_MODES = [
+  "none",
+  "floyd-steinberg",
+  "atkinson",
+  "bayer4x4",
+  "bayer8x8",
+];
+
+// Error diffusion kernels as [dx, dy, weight]
+const ERROR_DIFFUSION_KERNELS = {
+  "floyd-steinberg": {
+    divisor: 16,
+    offsets: [
+      [1, 0, 7],
+      [-1, 1, 3],
+      [0, 1, 5],
+      [1, 1, 1],
+    ],
+  },
+  // Atkinson only diffuses 6/8 of the error, which keeps contrast high
+  atkinson: {
+    divisor: 8,
+    offsets: [
+      [1, 0, 1],
+      [2, 0, 1],
+      [-1, 1, 1],
+      [0, 1, 1],
+      [1, 1, 1],
+      [0, 2, 1],
+    ],
+  },
+};
+
+/**
+ * Build a recursive Bayer threshold matrix of the given size (power of 2)
+ */
+function bayerMatrix(size) {
+  let matrix = [[0]];
+  for (let n = 1; n < size; n *= 2) {
+    const next = [];
+    for (let y = 0; y < n * 2; y++) {
+      next.push(new Array(n * 2));
+    }
+    for (let y = 0; y < n; y++) {
+      for (let x = 0; x < n; x++) {
+        const v = matrix[y][x] * 4;
+        next[y][x] = v;
+        next[y][x + n] = v + 2;
+        next[y + n][x] = v + 3;
+        next[y + n][x + n] = v + 1;
+      }
+    }
+    matrix = next;
+  }
+  return matrix;
+}
+
+const BAYER_MATRICES = {
+  bayer4x4: bayerMatrix(4),
+  bayer8x8: bayerMatrix(8),
+};
+
+/**
+ * Check whether a dither mode is supported
+ * @param {string} mode - Dither mode name
+ * @returns {boolean}
+ */
+export function isValidDitherMode(mode) {
+  return DITHER_MODES.includes(mode);
+}
+
+/**
+ * Dither greyscale pixel data down to a number of grey levels
+ * @param {Buffer} data - Raw greyscale pixels, one byte per pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number} levels - Number of grey levels in the output (2-256)
+ * @param {string} mode - One of DITHER_MODES
+ * @returns {Buffer} Raw greyscale pixels containing only the output levels
+ */
+export function ditherGreyscale(data, width, height, levels, mode) {
+  if (!isValidDitherMode(mode)) {
+    throw new Error(
+      `Unsupported dither mode "${mode}". Supported values are: ${DITHER_MODES.join(", ")}`,
+    );
+  }
+
+  const step = 255 / (levels - 1);
+  const quantize = (value) => {
+    const clamped = Math.min(255, Math.max(0, value));
+    return Math.round(Math.round(clamped / step) * step);
+  };
+
+  const output = Buffer.alloc(width * height);
+
+  if (mode === "none") {
+    for (let i = 0; i < output.length; i++) {
+      output[i] = quantize(data[i]);
+    }
+    return output;
+  }
+
+  if (BAYER_MATRICES[mode]) {
+    const matrix = BAYER_MATRICES[mode];
+    const size = matrix.length;
+    const cells = size * size;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        // Centre the threshold around zero so flat areas keep their level
+        const threshold = (matrix[y % size][x % size] + 0.5) / cells - 0.5;
+        output[i] = quantize(data[i] + threshold * step);
+      }
+    }
+    return output;
+  }
+
+  const { divisor, offsets } = ERROR_DIFFUSION_KERNELS[mode];
+  const working = Float32Array.from(data.subarray(0, width * height));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const value = quantize(working[i]);
+      const error = (working[i] - value) / divisor;
+      output[i] = value;
+      for (const [dx, dy, weight] of offsets) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) {
+          continue;
+        }
+        working[ny * width + nx] += error * weight;
+      }
+    }
+  }
+  return output;
+}
+
+/**
+ * Find the palette entry closest to an RGB color
+ */
+function nearestPaletteIndex(palette, r, g, b) {
+  let best = 0;
+  let bestDistance = Infinity;
+  for (let i = 0; i < palette.length; i++) {
+    const [pr, pg, pb] = palette[i];
+    const distance = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+    if (distance < bestDistance) {
+      best = i;
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+/**
+ * Map RGB pixel data to the nearest entries of a palette, with optional dithering
+ * @param {Buffer} data - Raw RGB pixels, three bytes per pixel
+ * @param {number} width - Image width in pixels
+ * @param {number} height - Image height in pixels
+ * @param {number[][]} palette - [r, g, b] palette entries
+ * @param {string} mode - One of DITHER_MODES
+ * @returns {Buffer} One palette index per pixel
+ */
+export function ditherToPalette(data, width, height, palette, mode) {
+  if (!isValidDitherMode(mode)) {
+    throw new Error(
+      `Unsupported dither mode "${mode}". Supported values are: ${DITHER_MODES.join(", ")}`,
+    );
+  }
+
+  const pixelCount = width * height;
+  const output = Buffer.alloc(pixelCount);
+
+  if (mode === "none") {
+    for (let i = 0; i < pixelCount; i++) {
+      output[i] = nearestPaletteIndex(
+        palette,
+        data[i * 3],
+        data[i * 3 + 1],
+        data[i * 3 + 2],
+      );
+    }
+    return output;
+  }
+
+  if (BAYER_MATRICES[mode]) {
+    // Spread the threshold over the gap between palette values per channel
+    const spread = [0, 1, 2].map((c) => {
+      const values = new Set(palette.map((color) => color[c]));
+      return 255 / Math.max(1, values.size - 1);
+    });
+    const matrix = BAYER_MATRICES[mode];
+    const size = matrix.length;
+    const cells = size * size;
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const i = y * width + x;
+        const threshold = (matrix[y % size][x % size] + 0.5) / cells - 0.5;
+        output[i] = nearestPaletteIndex(
+          palette,
+          data[i * 3] + threshold * spread[0],
+          data[i * 3 + 1] + threshold * spread[1],
+          data[i * 3 + 2] + threshold * spread[2],
+        );
+      }
+    }
+    return output;
+  }
+
+  const { divisor, offsets } = ERROR_DIFFUSION_KERNELS[mode];
+  const working = Float32Array.from(data.subarray(0, pixelCount * 3));
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = y * width + x;
+      const r = Math.min(255, Math.max(0, working[i * 3]));
+      const g = Math.min(255, Math.max(0, working[i * 3 + 1]));
+      const b = Math.min(255, Math.max(0, working[i * 3 + 2]));
+      const index = nearestPaletteIndex(palette, r, g, b);
+      const [pr, pg, pb] = palette[index];
+      const errors = [(r - pr) / divisor, (g - pg) / divisor, (b - pb) / divisor];
+      output[i] = index;
+      for (const [dx, dy, weight] of offsets) {
+        const nx = x + dx;
+        const ny = y + dy;
+        if (nx < 0 || nx >= width || ny >= height) {
+          continue;
+        }
+        const target = (ny * width + nx) * 3;
+        working[target] += errors[0] * weight;
+        working[target + 1] += errors[1] * weight;
+        working[target + 2] += errors[2] * weight;
+      }
+    }
+  }
+  return output;
+}
@@ -6,3 +6,21 @@ export class CannotOpenPageError extends Error {
     this.name = "CannotOpenPageError";
   }
 }
+
+export class ConfigError extends Error {
+  constructor(errors) {
+    super(`${errors.length} error(s) in the configuration:\n  - ${errors.join("\n  - ")}`);
+    this.errors = errors;
+    this.name = "ConfigError";
+  }
+}
+
+export class ElementNotFoundError extends Error {
+  constructor(selector, pagePath) {
+    super(`No element matches selector "${selector}" on page: ${pagePath}`);
+    this.status = 404;
+    this.selector = selector;
+    this.pagePath = pagePath;
+    this.name = "ElementNotFoundError";
+  }
+}
@@ -1,7 +1,18 @@
-import { writeFileSync, mkdirSync, existsSync } from "fs";
+import {
+  writeFileSync,
+  mkdirSync,
+  existsSync,
+  statSync,
+  readdirSync,
+  unlinkSync,
+} from "fs";
 import { join, dirname } from "path";
 import { logger } from "./logger.js";
 
+// History files are named after their capture time, e.g. 2026-01-31T14-05-00.png
+const HISTORY_FILE_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2})-(\d{2})-(\d{2})\.(png|jpeg|webp|bmp)$/;
+const HISTORY_INDEX_FILE = "history.json";
+
 /**
  * Manages screenshot file storage in the Home Assistant /www directory
  */
@@ -39,13 +50,28 @@ export class FileManager {
     return format || "png";
   }
 
+  /**
+   * Get the MIME type for a file extension
+   */
+  getContentType(extension) {
+    if (extension === "jpeg") {
+      return "image/jpeg";
+    } else if (extension === "webp") {
+      return "image/webp";
+    } else if (extension === "bmp") {
+      return "image/bmp";
+    }
+    return "image/png";
+  }
+
   /**
    * Save a screenshot to disk
    * @param {string} name - Screenshot name (used for folder organization)
    * @param {Buffer} imageBuffer - Image data
    * @param {string} format - Image format (png, jpeg, webp, bmp)
    * @param {number} einkColors - E-ink color count (optional)
-   * @param {boolean} keepHistory - Whether to keep timestamped versions
+   * @param {boolean|object} keepHistory - Whether to keep timestamped versions,
+   *   or the history limits ({ max_count, max_age_hours, max_size_mb }) to prune to
    * @returns {string} Path where the file was saved
    */
   saveScreenshot(
@@ -84,11 +110,143 @@ export class FileManager {
       } catch (err) {
         logger.warn(`Failed to write history file:`, err.message);
       }
+
+      try {
+        const limits = typeof keepHistory === "object" ? keepHistory : {};
+        const entries = this.pruneHistory(name, limits);
+        this.writeHistoryIndex(name, entries);
+      } catch (err) {
+        logger.warn(`Failed to update history of "${name}":`, err.message);
+      }
     }
 
     return latestPath;
   }
 
+  /**
+   * List the timestamped history files of a screenshot
+   * @param {string} name - Screenshot name
+   * @returns {{file: string, path: string, time: Date, size: number}[]} Newest first
+   */
+  listHistory(name) {
+    const screenshotDir = join(this.baseOutputPath, name);
+    if (!existsSync(screenshotDir)) {
+      return [];
+    }
+
+    const entries = [];
+    for (const file of readdirSync(screenshotDir)) {
+      const match = HISTORY_FILE_PATTERN.exec(file);
+      if (!match) {
+        continue;
+      }
+      const [, date, hours, minutes, seconds] = match;
+      const path = join(screenshotDir, file);
+      entries.push({
+        file,
+        path,
+        time: new Date(`${date}T${hours}:${minutes}:${seconds}Z`),
+        size: statSync(path).size,
+      });
+    }
+    return entries.sort((a, b) => b.time - a.time);
+  }
+
+  /**
+   * Delete history files beyond the limits of a screenshot
+   * The newest files are kept; once a file breaks a limit, it and every
+   * older file are deleted.
+   * @param {string} name - Screenshot name
+   * @param {object} limits - { max_count, max_age_hours, max_size_mb }, all optional
+   * @returns {object[]} Remaining entries, newest first (see listHistory)
+   */
+  pruneHistory(name, { max_count, max_age_hours, max_size_mb } = {}) {
+    const now = Date.now();
+    const kept = [];
+    let totalSize = 0;
+    let pruning = false;
+
+    for (const entry of this.listHistory(name)) {
+      totalSize += entry.size;
+      pruning =
+        pruning ||
+        (max_count !== undefined && kept.length >= max_count) ||
+        (max_age_hours !== undefined && now - entry.time > max_age_hours * 3_600_000) ||
+        (max_size_mb !== undefined && totalSize > max_size_mb * 1024 * 1024);
+      if (!pruning) {
+        kept.push(entry);
+        continue;
+      }
+      try {
+        unlinkSync(entry.path);
+        logger.debug(`Pruned history file ${entry.path}`);
+      } catch (err) {
+        logger.warn(`Failed to delete history file ${entry.path}:`, err.message);
+      }
+    }
+    return kept;
+  }
+
+  /**
+   * Write the history index (history.json) of a screenshot
+   * @param {string} name - Screenshot name
+   * @param {object[]} entries - Entries from listHistory(), newest first
+   */
+  writeHistoryIndex(name, entries = this.listHistory(name)) {
+    const index = {
+      name,
+      updated: new Date().toISOString(),
+      count: entries.length,
+      total_size: entries.reduce((total, entry) => total + entry.size, 0),
+      entries: entries.map((entry) => ({
+        file: entry.file,
+        url: `/local/screenshots/${name}/${entry.file}`,
+        time: entry.time.toISOString(),
+        size: entry.size,
+      })),
+    };
+    writeFileSync(
+      join(this.baseOutputPath, name, HISTORY_INDEX_FILE),
+      JSON.stringify(index, null, 2),
+    );
+  }
+
+  /**
+   * Save the timelapse of a screenshot next to its latest image
+   * @param {string} name - Screenshot name
+   * @param {Buffer} imageBuffer - Animated image data
+   * @param {string} format - webp or gif
+   * @returns {string} Path where the file was saved
+   */
+  saveTimelapse(name, imageBuffer, format) {
+    const screenshotDir = join(this.baseOutputPath, name);
+    this.ensureDirectoryExists(screenshotDir);
+    const timelapsePath = join(screenshotDir, `timelapse.${format}`);
+    try {
+      writeFileSync(timelapsePath, imageBuffer);
+    } catch (err) {
+      throw new Error(`Cannot write timelapse file: ${err.message}`);
+    }
+    return timelapsePath;
+  }
+
+  /**
+   * Get details of the latest saved screenshot
+   * @param {string} name - Screenshot name
+   * @param {string} format - Image format
+   * @param {number} einkColors - E-ink color count (optional)
+   * @returns {{path: string, mtime: Date, size: number}|null} null if nothing has been saved yet
+   */
+  getLatestFile(name, format = "png", einkColors = undefined) {
+    const extension = this.getExtension(format, einkColors);
+    const latestPath = join(this.baseOutputPath, name, `latest.${extension}`);
+    if (!existsSync(latestPath)) {
+      return null;
+    }
+    const stats = statSync(latestPath);
+    return { path: latestPath, mtime: stats.mtime, size: stats.size };
+  }
+
   /**
    * Get the URL path for accessing a screenshot via Home Assistant
    * @param {string} name - Screenshot name
@@ -0,0 +1,192 @@
+import { logger } from "./logger.js";
+
+const ENTITY_PREFIX = "dashboard_scheduler";
+const PUBLISHED_ENTITY = new RegExp(`^(sensor|binary_sensor)\\.${ENTITY_PREFIX}_`);
+// A job is stale when it has not captured successfully for this many intervals
+const STALE_INTERVALS = 3;
+const STALE_CHECK_INTERVAL = 60_000; // milliseconds
+
+/**
+ * Turn a screenshot name into an entity ID fragment
+ */
+function slugify(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+}
+
+/**
+ * Whether an entity is one the publisher writes
+ * Triggers ignore these, or a glob such as "sensor.*" would capture again
+ * on every published status.
+ */
+export function isPublishedEntity(entityId) {
+  return PUBLISHED_ENTITY.test(entityId);
+}
+
+/**
+ * Publishes capture status of each job to Home Assistant as entities
+ *
+ * Uses the REST API (POST /api/states/<entity_id>), so the entities exist
+ * until Home Assistant restarts and are recreated on the next capture.
+ * Per job this creates:
+ * - sensor.<prefix>_<name>_last_capture (timestamp of the last successful capture)
+ * - sensor.<prefix>_<name>_last_error
+ * - sensor.<prefix>_<name>_capture_duration (ms)
+ * - sensor.<prefix>_<name>_image_url
+ * - binary_sensor.<prefix>_<name>_stale
+ */
+export class HomeAssistantPublisher {
+  constructor(homeAssistantUrl, token) {
+    this.homeAssistantUrl = homeAssistantUrl;
+    this.token = token;
+
+    // Per job: { config, interval, firstSeen, lastSuccess, lastSkipped, lastError, stale }
+    this.jobs = new Map();
+    this.staleTimer = undefined;
+  }
+
+  /**
+   * Subscribe to a scheduler's job results and start the stale check
+   * @param {ScreenshotScheduler} scheduler
+   */
+  attach(scheduler) {
+    scheduler.addStatusListener((screenshotConfig, jobStatus) =>
+      this.publishJob(screenshotConfig, jobStatus),
+    );
+    this.staleTimer = setInterval(() => this.checkStale(), STALE_CHECK_INTERVAL);
+  }
+
+  stop() {
+    clearInterval(this.staleTimer);
+    this.staleTimer = undefined;
+  }
+
+  entityId(domain, name, suffix) {
+    return `${domain}.${ENTITY_PREFIX}_${slugify(name)}_${suffix}`;
+  }
+
+  async setState(entityId, state, attributes) {
+    const url = new URL(`/api/states/${entityId}`, this.homeAssistantUrl);
+    try {
+      const response = await fetch(url, {
+        method: "POST",
+        headers: {
+          Authorization: `Bearer ${this.token}`,
+          "Content-Type": "application/json",
+        },
+        body: JSON.stringify({ state: String(state), attributes }),
+      });
+      if (!response.ok) {
+        logger.warn(`Failed to update ${entityId}: HTTP ${response.status}`);
+      }
+    } catch (err) {
+      logger.warn(`Failed to update ${entityId}:`, err.message);
+    }
+  }
+
+  isStale(job, now = Date.now()) {
+    const maxAge = job.interval * STALE_INTERVALS * 1000;
+    // Runs skipped for active_hours/off_hours keep the job from going stale
+    const since = Math.max(
+      job.firstSeen.getTime(),
+      job.lastSuccess?.getTime() || 0,
+      job.lastSkipped?.getTime() || 0,
+    );
+    return now - since > maxAge;
+  }
+
+  /**
+   * Publish the entities for a job after it ran
+   * @param {object} screenshotConfig - Config of the job that ran
+   * @param {object} jobStatus - Recorded outcome ({ status, time, ... })
+   */
+  async publishJob(screenshotConfig, jobStatus) {
+    const { name } = screenshotConfig;
+    let job = this.jobs.get(name);
+    if (!job) {
+      job = { firstSeen: jobStatus.time, stale: undefined };
+      this.jobs.set(name, job);
+    }
+    job.config = screenshotConfig;
+    // The interval in effect, which may vary with interval_windows
+    job.interval = jobStatus.interval ?? screenshotConfig.interval;
+
+    // Skipped runs (active_hours/off_hours) only postpone the stale check
+    if (jobStatus.status === "skipped") {
+      job.lastSkipped = jobStatus.time;
+      return;
+    }
+
+    if (jobStatus.success) {
+      job.lastSuccess = jobStatus.time;
+    } else {
+      job.lastError = { message: jobStatus.error, time: jobStatus.time };
+    }
+    job.stale = this.isStale(job);
+
+    const friendlyName = `Dashboard ${name}`;
+    const updates = [
+      this.setState(
+        this.entityId("sensor", name, "last_capture"),
+        job.lastSuccess ? job.lastSuccess.toISOString() : "unknown",
+        {
+          friendly_name: `${friendlyName} last capture`,
+          device_class: "timestamp",
+          status: jobStatus.status,
+        },
+      ),
+      this.setState(
+        this.entityId("sensor", name, "last_error"),
+        job.lastError ? job.lastError.message.substring(0, 255) : "none",
+        {
+          friendly_name: `${friendlyName} last error`,
+          error_time: job.lastError?.time.toISOString(),
+          icon: "mdi:alert-circle-outline",
+        },
+      ),
+      this.setState(
+        this.entityId("sensor", name, "capture_duration"),
+        jobStatus.duration ?? "unknown",
+        {
+          friendly_name: `${friendlyName} capture duration`,
+          unit_of_measurement: "ms",
+          device_class: "duration",
+          state_class: "measurement",
+        },
+      ),
+      this.setState(this.entityId("binary_sensor", name, "stale"), job.stale ? "on" : "off", {
+        friendly_name: `${friendlyName} stale`,
+        device_class: "problem",
+        stale_after_seconds: job.interval * STALE_INTERVALS,
+      }),
+    ];
+    if (jobStatus.url) {
+      updates.push(
+        this.setState(this.entityId("sensor", name, "image_url"), jobStatus.url, {
+          friendly_name: `${friendlyName} image URL`,
+          entity_picture: jobStatus.url,
+          icon: "mdi:image",
+        }),
+      );
+    }
+    await Promise.all(updates);
+  }
+
+  /**
+   * Flip the stale flag of jobs that stopped producing images altogether
+   */
+  async checkStale() {
+    const now = Date.now();
+    for (const [name, job] of this.jobs.entries()) {
+      const stale = this.isStale(job, now);
+      if (stale === job.stale) {
+        continue;
+      }
+      job.stale = stale;
+      await this.setState(this.entityId("binary_sensor", name, "stale"), stale ? "on" : "off", {
+        friendly_name: `Dashboard ${name} stale`,
+        device_class: "problem",
+        stale_after_seconds: job.interval * STALE_INTERVALS,
+      });
+    }
+  }
+}
@@ -0,0 +1,114 @@
+import WebSocket from "ws";
+import { logger } from "./logger.js";
+
+const RECONNECT_DELAY_MIN = 5_000; // milliseconds
+const RECONNECT_DELAY_MAX = 60_000; // milliseconds
+
+/**
+ * Subscribes to Home Assistant state changes over the WebSocket API
+ *
+ * Authenticates with the access token, subscribes to state_changed events
+ * and reconnects with a growing delay whenever the connection drops.
+ */
+export class HomeAssistantEvents {
+  /**
+   * @param {string} homeAssistantUrl - Base URL, e.g. http://homeassistant:8123
+   * @param {string} token - Long-lived access token
+   * @param {Function} onStateChanged - (entityId, newState, oldState) => void
+   */
+  constructor(homeAssistantUrl, token, onStateChanged) {
+    const url = new URL("/api/websocket", homeAssistantUrl);
+    url.protocol = url.protocol === "https:" ? "wss:" : "ws:";
+    this.url = url.toString();
+    this.token = token;
+    this.onStateChanged = onStateChanged;
+
+    this.socket = undefined;
+    this.messageId = 0;
+    this.reconnectDelay = RECONNECT_DELAY_MIN;
+    this.reconnectTimer = undefined;
+    this.stopped = false;
+  }
+
+  connect() {
+    this.stopped = false;
+    logger.debug(`Connecting to Home Assistant WebSocket at ${this.url}`);
+
+    const socket = new WebSocket(this.url);
+    this.socket = socket;
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data.toString());
+      } catch (err) {
+        logger.warn("Invalid WebSocket message from Home Assistant:", err.message);
+        return;
+      }
+      this.handleMessage(message);
+    });
+    socket.on("close", () => {
+      if (this.socket === socket) {
+        this.socket = undefined;
+        this.scheduleReconnect();
+      }
+    });
+    socket.on("error", (err) => {
+      logger.warn("Home Assistant WebSocket error:", err.message);
+    });
+  }
+
+  send(message) {
+    this.socket?.send(JSON.stringify(message));
+  }
+
+  handleMessage(message) {
+    switch (message.type) {
+      case "auth_required":
+        this.send({ type: "auth", access_token: this.token });
+        break;
+      case "auth_ok":
+        logger.info("Connected to Home Assistant WebSocket, subscribing to state changes");
+        this.reconnectDelay = RECONNECT_DELAY_MIN;
+        this.send({
+          id: ++this.messageId,
+          type: "subscribe_events",
+          event_type: "state_changed",
+        });
+        break;
+      case "auth_invalid":
+        logger.error("Home Assistant WebSocket authentication failed:", message.message);
+        this.socket?.close();
+        break;
+      case "result":
+        if (!message.success) {
+          logger.error("Home Assistant WebSocket command failed:", message.error?.message);
+        }
+        break;
+      case "event": {
+        const data = message.event?.data;
+        if (message.event?.event_type === "state_changed" && data?.entity_id) {
+          this.onStateChanged(data.entity_id, data.new_state, data.old_state);
+        }
+        break;
+      }
+    }
+  }
+
+  scheduleReconnect() {
+    if (this.stopped) {
+      return;
+    }
+    logger.warn(`Home Assistant WebSocket closed, reconnecting in ${this.reconnectDelay / 1000}s`);
+    this.reconnectTimer = setTimeout(() => this.connect(), this.reconnectDelay);
+    this.reconnectDelay = Math.min(this.reconnectDelay * 2, RECONNECT_DELAY_MAX);
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    const socket = this.socket;
+    this.socket = undefined;
+    socket?.close();
+  }
+}
@@ -1,7 +1,10 @@
 import http from "node:http";
-import { Browser } from "./screenshot.js";
-import { isAddOn, hassUrl, hassToken, keepBrowserOpen } from "./const.js";
-import { CannotOpenPageError } from "./error.js";
+import { Browser, HEADER_MODES, DEFAULT_READINESS_TIMEOUT, DEFAULT_READINESS_STABLE } from "./screenshot.js";
+import { isAddOn, hassUrl, hassToken, keepBrowserOpen, logLevel, logFormat, requireOptions } from "./const.js";
+import { CannotOpenPageError, ElementNotFoundError } from "./error.js";
+import { isValidDitherMode } from "./dither.js";
+import { resolvePalette } from "./palette.js";
+import { configureLogger, logger } from "./logger.js";
 
 // Maximum number of next requests to keep in memory
 const MAX_NEXT_REQUESTS = 100;
@@ -68,19 +71,20 @@ class RequestHandler {
     }
 
     const requestId = ++this.requestCount;
-    console.debug(requestId, "Request", request.url);
+    const log = logger.child({ request_id: requestId });
+    log.debug("Request", request.url);
 
     const start = new Date();
     if (this.busy) {
-      console.log(requestId, "Busy, waiting in queue");
+      log.info("Busy, waiting in queue");
       await new Promise((resolve) => this.pending.push(resolve));
       const end = Date.now();
-      console.log(requestId, `Wait time: ${end - start} ms`);
+      log.info({ phase: "queue", duration_ms: end - start }, `Wait time: ${end - start} ms`);
     }
     this.busy = true;
 
     try {
-      console.debug(requestId, "Handling", request.url);
+      log.debug("Handling", request.url);
       const requestUrl = new URL(
         request.url,
         // We don't use this, but we need full URL for parsing.
@@ -120,11 +124,61 @@ class RequestHandler {
         format = "png";
       }
 
+      // Palette is a preset name or comma separated hex colors
+      let palette;
+      const paletteParam = requestUrl.searchParams.get("palette");
+      if (paletteParam) {
+        try {
+          palette = resolvePalette(paletteParam);
+        } catch (err) {
+          palette = undefined;
+        }
+      }
+      if (palette && format !== "bmp") {
+        format = "png";
+      }
+
       let rotate = parseInt(requestUrl.searchParams.get("rotate"));
       if (isNaN(rotate) || ![90, 180, 270].includes(rotate)) {
         rotate = undefined;
       }
 
+      let dither = requestUrl.searchParams.get("dither") || "none";
+      if (!isValidDitherMode(dither)) {
+        dither = "none";
+      }
+
+      const bmpTopDown = requestUrl.searchParams.get("bmp_order") === "top-down";
+
+      let header = requestUrl.searchParams.get("header") || "auto";
+      if (!HEADER_MODES.includes(header)) {
+        header = "auto";
+      }
+
+      // readiness=detect waits for the cards to render instead of fixed delays
+      const readiness = requestUrl.searchParams.get("readiness") === "detect" ? "detect" : "fixed";
+      let readinessTimeout = parseInt(requestUrl.searchParams.get("readiness_timeout"));
+      if (isNaN(readinessTimeout) || readinessTimeout <= 0) {
+        readinessTimeout = DEFAULT_READINESS_TIMEOUT;
+      }
+      let readinessStable = parseInt(requestUrl.searchParams.get("readiness_stable"));
+      if (isNaN(readinessStable) || readinessStable < 0) {
+        readinessStable = DEFAULT_READINESS_STABLE;
+      }
+
+      // Capture a single card, e.g. selector=hui-thermostat-card
+      const selector = requestUrl.searchParams.get("selector") || undefined;
+      let selectorPadding = parseInt(requestUrl.searchParams.get("selector_padding"));
+      if (isNaN(selectorPadding) || selectorPadding < 0) {
+        selectorPadding = 0;
+      }
+      let selectorBackground = requestUrl.searchParams.get("selector_background") || undefined;
+      if (selectorBackground && !/^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.test(selectorBackground)) {
+        selectorBackground = undefined;
+      } else if (selectorBackground && !selectorBackground.startsWith("#")) {
+        selectorBackground = `#${selectorBackground}`;
+      }
+
       const lang = requestUrl.searchParams.get("lang") || undefined;
       const theme = requestUrl.searchParams.get("theme") || undefined;
       const dark = requestUrl.searchParams.has("dark");
@@ -141,6 +195,16 @@ class RequestHandler {
         lang,
         theme,
         dark,
+        dither,
+        bmpTopDown,
+        palette,
+        header,
+        readiness,
+        readinessTimeout,
+        readinessStable,
+        selector,
+        selectorPadding,
+        selectorBackground,
       };
 
       // Extract next param and schedule if necessary
@@ -152,21 +216,25 @@ class RequestHandler {
 
       let image;
       try {
-        const navigateResult = await this.browser.navigatePage(requestParams);
-        console.debug(requestId, `Navigated in ${navigateResult.time} ms`);
+        const navigateResult = await this.browser.navigatePage(requestParams, undefined, log);
+        log.debug(`Navigated in ${navigateResult.time} ms`);
         this.navigationTime = Math.max(
           this.navigationTime,
           navigateResult.time,
         );
         const screenshotResult = await this.browser.screenshotPage(
           requestParams,
+          undefined,
+          log,
         );
-        console.debug(requestId, `Screenshot in ${screenshotResult.time} ms`);
+        log.debug(`Screenshot in ${screenshotResult.time} ms`);
         image = screenshotResult.image;
       } catch (err) {
-        console.error(requestId, "Error generating screenshot", err);
+        log.error("Error generating screenshot", err);
         response.statusCode =
-          err instanceof CannotOpenPageError ? err.status : 500;
+          err instanceof CannotOpenPageError || err instanceof ElementNotFoundError
+            ? err.status
+            : 500;
         response.end();
         return;
       }
@@ -210,7 +278,7 @@ class RequestHandler {
       if (nextWaitTime < 0) {
         return;
       }
-      console.debug(requestId, `Next request in ${nextWaitTime} ms`);
+      log.debug(`Next request in ${nextWaitTime} ms`);
       this.nextRequests.push(
         setTimeout(
           () => this.prepareNextRequest(requestId, requestParams),
@@ -232,21 +300,22 @@ class RequestHandler {
 
   async prepareNextRequest(requestId, requestParams) {
     if (this.busy) {
-      console.log("Busy, skipping next request");
+      logger.info("Busy, skipping next request");
       return;
     }
     requestId = `${requestId}-next`;
+    const log = logger.child({ request_id: requestId });
     this.busy = true;
-    console.log(requestId, "Preparing next request");
+    log.info("Preparing next request");
     try {
       const navigateResult = await this.browser.navigatePage({
         ...requestParams,
         // No unnecessary wait time, as we're just warming up
         extraWait: 0,
-      });
-      console.debug(requestId, `Navigated in ${navigateResult.time} ms`);
+      }, undefined, log);
+      log.debug(`Navigated in ${navigateResult.time} ms`);
     } catch (err) {
-      console.error(requestId, "Error preparing next request", err);
+      log.error("Error preparing next request", err);
     } finally {
       this.busy = false;
       const resolve = this.pending.shift();
@@ -258,6 +327,9 @@ class RequestHandler {
   }
 }
 
+requireOptions();
+configureLogger({ level: logLevel, format: logFormat });
+
 const browser = new Browser(hassUrl, hassToken);
 const requestHandler = new RequestHandler(browser);
 const port = 10000;
@@ -265,10 +337,7 @@ const server = http.createServer((request, response) =>
   requestHandler.handleRequest(request, response),
 );
 server.listen(port);
-const now = new Date();
 const serverUrl = isAddOn
   ? `http://homeassistant.local:${port}`
   : `http://localhost:${port}`;
-console.log(
-  `[${now.toLocaleTimeString()}] Visit server at ${serverUrl}/lovelace/0?viewport=1000x1000`,
-);
+logger.info(`Visit server at ${serverUrl}/lovelace/0?viewport=1000x1000`);
@@ -0,0 +1,176 @@
+import { createHash } from "node:crypto";
+import { readFileSync } from "fs";
+import { extname } from "path";
+import { sendJson } from "./server.js";
+
+/**
+ * Serves the latest scheduled images straight from the FileManager output
+ *
+ * Every job is available at /images/<name>, and each registered device gets
+ * one stable URL, /devices/<id>/image, which always returns whatever the
+ * device should currently show. Responses carry a content-hash ETag and
+ * Last-Modified, and conditional requests for an unchanged image get a 304
+ * so devices don't download (and redraw) the same image again.
+ */
+export class ImageServer {
+  /**
+   * @param {ScreenshotScheduler} scheduler - Scheduler owning the screenshot jobs
+   * @param {FileManager} fileManager - Where the scheduled images are stored
+   * @param {DeviceRegistry} devices - Registered devices
+   */
+  constructor(scheduler, fileManager, devices) {
+    this.scheduler = scheduler;
+    this.fileManager = fileManager;
+    this.devices = devices;
+
+    // Content hashes by file path, reused until the file changes
+    this.etags = new Map();
+  }
+
+  register(server) {
+    server
+      .route("GET", /^\/images\/([^/]+)$/, (request, response, { params }) =>
+        this.handleJobImage(request, response, params[0]),
+      )
+      .route("GET", /^\/devices\/([^/]+)\/image$/, (request, response, { url, params }) =>
+        this.handleDeviceImage(request, response, url, params[0]),
+      );
+  }
+
+  /**
+   * Latest saved file for a job
+   * @returns {{path: string, mtime: Date, size: number}|null}
+   */
+  latestFileForJob(name) {
+    const job = this.scheduler.jobs.get(name);
+    if (!job) {
+      return null;
+    }
+    const { config } = job;
+    return this.fileManager.getLatestFile(
+      config.name,
+      config.format,
+      config.eink ? parseInt(config.eink) : undefined,
+    );
+  }
+
+  async handleJobImage(request, response, name) {
+    const job = this.scheduler.jobs.get(name);
+    if (!job) {
+      sendJson(response, 404, { error: `Unknown screenshot "${name}"` });
+      return;
+    }
+
+    const latest = this.latestFileForJob(name);
+    if (!latest) {
+      sendJson(response, 503, { error: "Image not captured yet" });
+      return;
+    }
+
+    this.sendImage(request, response, latest, this.scheduler.currentInterval(job.config));
+  }
+
+  async handleDeviceImage(request, response, url, deviceId) {
+    const device = this.devices.find({ id: deviceId });
+    if (!device) {
+      sendJson(response, 404, { error: `Unknown device "${deviceId}"` });
+      return;
+    }
+
+    if (device.apiKey) {
+      const key = url.searchParams.get("key") || request.headers["access-token"];
+      if (key !== device.apiKey) {
+        sendJson(response, 401, { error: "Invalid or missing API key" });
+        return;
+      }
+    }
+
+    const jobName = this.devices.currentJobName(device);
+    const latest = this.latestFileForJob(jobName);
+    if (!latest) {
+      sendJson(response, 503, { error: "Image not captured yet" });
+      return;
+    }
+
+    const { config } = this.scheduler.jobs.get(jobName);
+    const interval = this.scheduler.currentInterval(config);
+    this.sendImage(request, response, latest, this.devices.refreshRate(device, interval));
+  }
+
+  /**
+   * Content-hash ETag of an image, from the file's stat while it is unchanged
+   * The image is only read (and returned) when the hash has to be computed.
+   * @param {object} latest - From FileManager.getLatestFile(), with mtime and size
+   * @returns {{etag: string, image: Buffer|undefined}}
+   */
+  imageEtag(latest) {
+    const cached = this.etags.get(latest.path);
+    if (
+      cached &&
+      cached.mtimeMs === latest.mtime.getTime() &&
+      cached.size === latest.size
+    ) {
+      return { etag: cached.etag, image: undefined };
+    }
+
+    const image = readFileSync(latest.path);
+    const hash = createHash("sha1").update(image).digest("hex");
+    const etag = `"${hash.substring(0, 32)}"`;
+    this.etags.set(latest.path, {
+      mtimeMs: latest.mtime.getTime(),
+      size: latest.size,
+      etag,
+    });
+    return { etag, image };
+  }
+
+  /**
+   * Check the conditional request headers against the current image
+   * If-None-Match takes precedence over If-Modified-Since, as in RFC 9110.
+   */
+  isNotModified(request, etag, mtime) {
+    const ifNoneMatch = request.headers["if-none-match"];
+    if (ifNoneMatch) {
+      return ifNoneMatch
+        .split(",")
+        .map((tag) => tag.trim().replace(/^W\//, ""))
+        .some((tag) => tag === etag || tag === "*");
+    }
+
+    const ifModifiedSince = Date.parse(request.headers["if-modified-since"]);
+    if (!isNaN(ifModifiedSince)) {
+      // HTTP dates only have second precision
+      return Math.floor(mtime.getTime() / 1000) <= Math.floor(ifModifiedSince / 1000);
+    }
+
+    return false;
+  }
+
+  /**
+   * Send an image with caching headers, or a 304 if the client has it already
+   * @param {number} maxAge - Seconds clients may cache the image (the current job interval)
+   */
+  sendImage(request, response, latest, maxAge) {
+    const { etag, image } = this.imageEtag(latest);
+    const headers = {
+      ETag: etag,
+      "Last-Modified": latest.mtime.toUTCString(),
+      "Cache-Control": `max-age=${Math.max(0, Math.floor(maxAge))}`,
+    };
+
+    if (this.isNotModified(request, etag, latest.mtime)) {
+      response.writeHead(304, headers);
+      response.end();
+      return;
+    }
+
+    // Only read when the client needs the image and the ETag didn't read it already
+    const body = image ?? readFileSync(latest.path);
+    response.writeHead(200, {
+      ...headers,
+      "Content-Type": this.fileManager.getContentType(extname(latest.path).substring(1)),
+      "Content-Length": body.length,
+    });
+    response.end(body);
+  }
+}
@@ -1,6 +1,45 @@
+import { format } from "node:util";
+
 /**
  * Logging utility with timestamps
+ *
+ * Prints "[timestamp] LEVEL: message" lines, or one JSON object per line
+ * with the "json" format. Messages below the configured level are dropped.
+ * Structured fields go in a plain object before the message, e.g.
+ *   logger.info({ phase: "nav", duration_ms: 812 }, "Navigation complete")
+ * and logger.child({ job: "kitchen" }) returns a logger that adds its
+ * fields to every line. Text output only shows the message.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+export const LOG_LEVELS = Object.keys(LEVELS);
+export const LOG_FORMATS = ["text", "json"];
+
+// The environment sets the defaults, "log_level" and "log_format" override them
+const DEFAULTS = {
+  level: process.env.LOG_LEVEL || (process.env.DEBUG === 'true' ? "debug" : "info"),
+  format: process.env.LOG_FORMAT || "text",
+};
+const settings = { ...DEFAULTS };
+
+/**
+ * Set the level and format, options left out go back to their defaults
+ * @param {object} options
+ * @param {string} options.level - debug, info, warn or error
+ * @param {string} options.format - text or json
+ */
+export function configureLogger({ level, format } = {}) {
+  settings.level = LEVELS[level] ? level : DEFAULTS.level;
+  settings.format = LOG_FORMATS.includes(format) ? format : DEFAULTS.format;
+}
+
+/**
+ * Format in use, so callers can skip output that only suits a terminal
+ * @returns {string} text or json
  */
+export function currentLogFormat() {
+  return settings.format;
+}
 
 function timestamp() {
   // Use local timezone instead of UTC
@@ -16,14 +55,45 @@ function timestamp() {
   return `${year}-${month}-${day} ${hours}:${minutes}:${seconds}.${ms}`;
 }
 
-export const logger = {
-  log: (...args) => console.log(`[${timestamp()}]`, ...args),
-  info: (...args) => console.log(`[${timestamp()}] INFO:`, ...args),
-  warn: (...args) => console.warn(`[${timestamp()}] WARN:`, ...args),
-  error: (...args) => console.error(`[${timestamp()}] ERROR:`, ...args),
-  debug: (...args) => {
-    if (process.env.DEBUG === 'true') {
-      console.log(`[${timestamp()}] DEBUG:`, ...args);
-    }
+function isFields(value) {
+  return value !== null && typeof value === "object" && Object.getPrototypeOf(value) === Object.prototype;
+}
+
+/**
+ * @param {string} level
+ * @param {string|null} label - Shown in text output, null for plain log()
+ * @param {object} context - Fields of the (child) logger
+ * @param {Array} args - Optional fields object, then the message parts
+ */
+function write(level, label, context, args) {
+  if (LEVELS[level] < LEVELS[settings.level]) {
+    return;
   }
-};
+  let fields = context;
+  if (isFields(args[0])) {
+    fields = { ...context, ...args[0] };
+    args = args.slice(1);
+  }
+  const print = level === "error" ? console.error : level === "warn" ? console.warn : console.log;
+
+  if (settings.format === "json") {
+    print(JSON.stringify({ time: new Date().toISOString(), level, msg: format(...args), ...fields }));
+  } else if (label) {
+    print(`[${timestamp()}] ${label}:`, ...args);
+  } else {
+    print(`[${timestamp()}]`, ...args);
+  }
+}
+
+function createLogger(context) {
+  return {
+    log: (...args) => write("info", null, context, args),
+    info: (...args) => write("info", "INFO", context, args),
+    warn: (...args) => write("warn", "WARN", context, args),
+    error: (...args) => write("error", "ERROR", context, args),
+    debug: (...args) => write("debug", "DEBUG", context, args),
+    child: (fields) => createLogger({ ...context, ...fields }),
+  };
+}
+
+export const logger = createLogger({});
@@ -0,0 +1,235 @@
+import { sendJson } from "./server.js";
+
+/**
+ * Prometheus metrics and health check
+ *
+ * /metrics serves per-job capture counts and timings, the browser queue and
+ * restarts and process memory in the Prometheus text format. /healthz
+ * answers 503 when the browser failed to launch, or when every job has been
+ * failing for longer than "health_failure_threshold" seconds.
+ */
+
+export const DEFAULT_HEALTH_FAILURE_THRESHOLD = 900; // seconds
+
+// Navigation and screenshot durations, in seconds
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60];
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+function escapeLabel(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/\n/g, "\\n").replace(/"/g, '\\"');
+}
+
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return "";
+  }
+  return `{${entries.map(([key, value]) => `${key}="${escapeLabel(value)}"`).join(",")}}`;
+}
+
+/**
+ * Observations of one histogram, by label set
+ */
+class Histogram {
+  constructor(buckets) {
+    this.buckets = buckets;
+    this.series = new Map();
+  }
+
+  observe(labels, value) {
+    const key = formatLabels(labels);
+    let series = this.series.get(key);
+    if (!series) {
+      series = { labels, counts: this.buckets.map(() => 0), sum: 0, count: 0 };
+      this.series.set(key, series);
+    }
+    this.buckets.forEach((bound, index) => {
+      if (value <= bound) {
+        series.counts[index]++;
+      }
+    });
+    series.sum += value;
+    series.count++;
+  }
+
+  lines(name) {
+    const lines = [];
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      this.buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: bound })} ${counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${name}_sum${formatLabels(labels)} ${sum}`);
+      lines.push(`${name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+export class Metrics {
+  /**
+   * @param {ScreenshotScheduler} scheduler - Scheduler owning the screenshot jobs
+   * @param {Browser} browser - Browser the jobs render in
+   */
+  constructor(scheduler, browser) {
+    this.scheduler = scheduler;
+    this.browser = browser;
+
+    // Capture counts by "job status" key
+    this.captures = new Map();
+    this.navigationDuration = new Histogram(DURATION_BUCKETS);
+    this.screenshotDuration = new Histogram(DURATION_BUCKETS);
+    // Per job: time of the last success, and of the first failure since then
+    this.lastSuccess = new Map();
+    this.failingSince = new Map();
+  }
+
+  /**
+   * Subscribe to a scheduler's job results
+   */
+  attach() {
+    this.scheduler.addStatusListener((screenshotConfig, jobStatus) =>
+      this.record(screenshotConfig.name, jobStatus),
+    );
+  }
+
+  register(server) {
+    server
+      .route("GET", "/metrics", (request, response) => this.handleMetrics(response))
+      .route("GET", "/healthz", (request, response) => this.handleHealth(response));
+  }
+
+  record(name, { status, time, success, timings }) {
+    const key = `${name}\n${status}`;
+    this.captures.set(key, (this.captures.get(key) || 0) + 1);
+
+    if (timings) {
+      this.navigationDuration.observe({ job: name }, timings.navigation / 1000);
+      this.screenshotDuration.observe({ job: name }, timings.screenshot / 1000);
+    }
+    if (success) {
+      this.lastSuccess.set(name, time);
+      this.failingSince.delete(name);
+    } else if (status === "failed" && !this.failingSince.has(name)) {
+      this.failingSince.set(name, time);
+    }
+  }
+
+  /**
+   * Render all metrics in the Prometheus text format
+   * @returns {string}
+   */
+  render() {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+      lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`, ...samples);
+    };
+
+    metric(
+      "puppet_captures_total",
+      "counter",
+      "Capture runs by job and outcome (saved, unchanged, skipped, failed)",
+      [...this.captures].map(([key, count]) => {
+        const [job, status] = key.split("\n");
+        return `puppet_captures_total${formatLabels({ job, status })} ${count}`;
+      }),
+    );
+    metric(
+      "puppet_navigation_duration_seconds",
+      "histogram",
+      "Time spent loading the dashboard for a capture",
+      this.navigationDuration.lines("puppet_navigation_duration_seconds"),
+    );
+    metric(
+      "puppet_screenshot_duration_seconds",
+      "histogram",
+      "Time spent taking and encoding the screenshot of a capture",
+      this.screenshotDuration.lines("puppet_screenshot_duration_seconds"),
+    );
+    metric(
+      "puppet_last_success_timestamp_seconds",
+      "gauge",
+      "Time of the last successful capture of a job",
+      [...this.lastSuccess].map(
+        ([job, time]) => `puppet_last_success_timestamp_seconds${formatLabels({ job })} ${time.getTime() / 1000}`,
+      ),
+    );
+    metric(
+      "puppet_job_paused",
+      "gauge",
+      "Whether the scheduled captures of a job are paused",
+      [...this.scheduler.jobs.keys()].map(
+        (job) => `puppet_job_paused${formatLabels({ job })} ${this.scheduler.paused.has(job) ? 1 : 0}`,
+      ),
+    );
+    metric("puppet_browser_queue_length", "gauge", "Render tasks waiting for a browser page", [
+      `puppet_browser_queue_length ${this.browser.queue.length}`,
+    ]);
+    metric("puppet_browser_restarts_total", "counter", "Browser launches after the first one", [
+      `puppet_browser_restarts_total ${this.browser.restarts}`,
+    ]);
+
+    const memory = process.memoryUsage();
+    metric("process_resident_memory_bytes", "gauge", "Resident memory of the Node.js process", [
+      `process_resident_memory_bytes ${memory.rss}`,
+    ]);
+    metric("nodejs_heap_size_used_bytes", "gauge", "Used V8 heap", [
+      `nodejs_heap_size_used_bytes ${memory.heapUsed}`,
+    ]);
+    metric("nodejs_heap_size_total_bytes", "gauge", "Total V8 heap", [
+      `nodejs_heap_size_total_bytes ${memory.heapTotal}`,
+    ]);
+    metric("nodejs_external_memory_bytes", "gauge", "Memory of buffers and other objects outside the V8 heap", [
+      `nodejs_external_memory_bytes ${memory.external}`,
+    ]);
+
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Why the add-on is unhealthy
+   * @param {number} now - Timestamp (ms)
+   * @returns {string[]} Empty when healthy
+   */
+  healthProblems(now = Date.now()) {
+    const problems = [];
+    const { launchError } = this.browser;
+    if (launchError) {
+      problems.push(`Browser failed to launch: ${launchError.message}`);
+    }
+
+    const threshold =
+      (this.scheduler.config?.health_failure_threshold ?? DEFAULT_HEALTH_FAILURE_THRESHOLD) * 1000;
+    const names = [...this.scheduler.jobs.keys()];
+    const failing = names.filter((name) => {
+      const since = this.failingSince.get(name);
+      return since && now - since.getTime() > threshold;
+    });
+    if (names.length > 0 && failing.length === names.length) {
+      problems.push(`Every job has been failing for more than ${threshold / 1000}s`);
+    }
+    return problems;
+  }
+
+  handleMetrics(response) {
+    const body = this.render();
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPE,
+      "Content-Length": Buffer.byteLength(body),
+    });
+    response.end(body);
+  }
+
+  handleHealth(response) {
+    const problems = this.healthProblems();
+    const failing = [...this.failingSince.keys()].filter((name) => this.scheduler.jobs.has(name));
+    sendJson(response, problems.length === 0 ? 200 : 503, {
+      status: problems.length === 0 ? "ok" : "unhealthy",
+      problems,
+      jobs: this.scheduler.jobs.size,
+      failing,
+      browser_restarts: this.browser.restarts,
+    });
+  }
+}
@@ -0,0 +1,86 @@
+/**
+ * Color palettes for color e-paper panels.
+ *
+ * Entries are listed in the order the panel firmware indexes them, so the
+ * palette index of a pixel is the value the controller expects.
+ */
+
+export const PALETTE_PRESETS = {
+  bw: ["#000000", "#ffffff"],
+  bwr: ["#000000", "#ffffff", "#ff0000"],
+  bwy: ["#000000", "#ffffff", "#ffff00"],
+  acep7: [
+    "#000000",
+    "#ffffff",
+    "#00ff00",
+    "#0000ff",
+    "#ff0000",
+    "#ffff00",
+    "#ff8000",
+  ],
+  spectra6: [
+    "#000000",
+    "#ffffff",
+    "#ffff00",
+    "#ff0000",
+    "#0000ff",
+    "#00ff00",
+  ],
+};
+
+const MAX_PALETTE_COLORS = 256;
+
+/**
+ * Parse a hex color ("#rrggbb", "rrggbb" or "#rgb") into [r, g, b]
+ */
+function parseHexColor(value) {
+  const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid palette color "${value}" (must be a hex color like #ff0000)`);
+  }
+  let hex = match[1];
+  if (hex.length === 3) {
+    hex = hex.split("").map((c) => c + c).join("");
+  }
+  return [0, 2, 4].map((i) => parseInt(hex.substring(i, i + 2), 16));
+}
+
+/**
+ * Resolve a palette setting into a list of colors
+ * @param {string|string[]} value - Preset name, comma separated hex colors, or array of hex colors
+ * @returns {number[][]} [r, g, b] palette entries
+ */
+export function resolvePalette(value) {
+  let colors = value;
+  if (typeof value === "string") {
+    const preset = PALETTE_PRESETS[value.trim().toLowerCase()];
+    colors = preset || value.split(",");
+  }
+
+  if (!Array.isArray(colors)) {
+    throw new Error("Palette must be a preset name or a list of hex colors");
+  }
+  if (colors.length < 2 || colors.length > MAX_PALETTE_COLORS) {
+    throw new Error(
+      `Palette must contain between 2 and ${MAX_PALETTE_COLORS} colors (or be one of: ${Object.keys(PALETTE_PRESETS).join(", ")})`,
+    );
+  }
+
+  return colors.map(parseHexColor);
+}
+
+/**
+ * Smallest bit depth able to index every palette entry
+ * @param {number} colorCount - Number of palette entries
+ * @returns {number} 1, 2, 4 or 8
+ */
+export function paletteBitsPerPixel(colorCount) {
+  if (colorCount <= 2) {
+    return 1;
+  } else if (colorCount <= 4) {
+    return 2;
+  } else if (colorCount <= 16) {
+    return 4;
+  }
+  return 8;
+}
@@ -0,0 +1,105 @@
+import { deflateSync } from "zlib";
+
+const supportedBitDepths = [1, 2, 4, 8];
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+const CRC_TABLE = new Int32Array(256);
+for (let n = 0; n < 256; n++) {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  CRC_TABLE[n] = c;
+}
+
+function crc32(buffer) {
+  let crc = -1;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRC_TABLE[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ -1) >>> 0;
+}
+
+/**
+ * Encodes palette indices as an indexed-color PNG with a fixed palette.
+ * Unlike sharp's palette output, the PLTE chunk keeps the exact colors and
+ * order it was given, which color e-paper firmware relies on.
+ */
+export class PNGEncoder {
+  /**
+   * @param {number} width - Image width in pixels
+   * @param {number} height - Image height in pixels
+   * @param {number[][]} palette - [r, g, b] palette entries (max 256)
+   * @param {number} bitDepth - 1, 2, 4 or 8 bits per pixel
+   */
+  constructor(width, height, palette, bitDepth = 8) {
+    this.width = width;
+    this.height = height;
+    this.palette = palette;
+    this.bitDepth = bitDepth;
+    if (!supportedBitDepths.includes(bitDepth)) {
+      throw new Error(`Unsupported bit depth. Supported values are: ${supportedBitDepths.join(", ")}`);
+    }
+    if (palette.length > 2 ** bitDepth) {
+      throw new Error(`Palette has ${palette.length} colors, but bit depth ${bitDepth} allows at most ${2 ** bitDepth}`);
+    }
+    this.rowBytes = Math.ceil((this.width * this.bitDepth) / 8);
+  }
+
+  encode(indices) {
+    return Buffer.concat([
+      PNG_SIGNATURE,
+      this.createChunk("IHDR", this.createHeader()),
+      this.createChunk("PLTE", this.createPalette()),
+      this.createChunk("IDAT", deflateSync(this.createPixelData(indices))),
+      this.createChunk("IEND", Buffer.alloc(0)),
+    ]);
+  }
+
+  createChunk(type, data) {
+    const chunk = Buffer.alloc(12 + data.length);
+    chunk.writeUInt32BE(data.length, 0);
+    chunk.write(type, 4, 4, "ascii");
+    data.copy(chunk, 8);
+    chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+    return chunk;
+  }
+
+  createHeader() {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(this.width, 0);
+    header.writeUInt32BE(this.height, 4);
+    header.writeUInt8(this.bitDepth, 8);
+    header.writeUInt8(3, 9); // Color type (indexed)
+    header.writeUInt8(0, 10); // Compression (deflate)
+    header.writeUInt8(0, 11); // Filter method
+    header.writeUInt8(0, 12); // Interlace (none)
+    return header;
+  }
+
+  createPalette() {
+    const palette = Buffer.alloc(this.palette.length * 3);
+    this.palette.forEach(([r, g, b], index) => {
+      palette.writeUInt8(r, index * 3);
+      palette.writeUInt8(g, index * 3 + 1);
+      palette.writeUInt8(b, index * 3 + 2);
+    });
+    return palette;
+  }
+
+  createPixelData(indices) {
+    // Each row starts with a filter type byte (0 = none)
+    const stride = this.rowBytes + 1;
+    const pixelData = Buffer.alloc(this.height * stride);
+    const pixelsPerByte = 8 / this.bitDepth;
+    for (let y = 0; y < this.height; y++) {
+      const rowStart = y * stride + 1;
+      for (let x = 0; x < this.width; x++) {
+        const byteIndex = rowStart + Math.floor(x / pixelsPerByte);
+        const shift = 8 - this.bitDepth * ((x % pixelsPerByte) + 1);
+        pixelData[byteIndex] |= indices[y * this.width + x] << shift;
+      }
+    }
+    return pixelData;
+  }
+}
@@ -1,8 +1,91 @@
-import { readFileSync, existsSync } from "fs";
-import { Browser } from "./screenshot.js";
+import { readFileSync, existsSync, watchFile, unwatchFile } from "fs";
+import { Browser, isBrowserError } from "./screenshot.js";
 import { FileManager } from "./file-manager.js";
-import { hassUrl, hassToken, isAddOn } from "./const.js";
-import { logger } from "./logger.js";
+import { resolvePalette } from "./palette.js";
+import { ApiServer } from "./server.js";
+import { TrmnlApi } from "./trmnl.js";
+import { DeviceRegistry } from "./devices.js";
+import { ImageServer } from "./image-server.js";
+import { ControlApi } from "./control-api.js";
+import { Metrics } from "./metrics.js";
+import {
+  DEFAULT_CHANGE_THRESHOLD,
+  imageHash,
+  fingerprintDifference,
+} from "./change-detector.js";
+import { hassUrl, hassToken, isAddOn, logLevel, logFormat, requireOptions } from "./const.js";
+import { HomeAssistantPublisher } from "./ha-entities.js";
+import { HomeAssistantEvents } from "./ha-websocket.js";
+import { EntityTriggers } from "./triggers.js";
+import { CronExpression } from "./cron.js";
+import { TimeWindows } from "./time-windows.js";
+import { Timelapses, resolveTimelapseOptions } from "./timelapse.js";
+import { layoutComposite } from "./composite.js";
+import { validateConfig, coerceListOptions } from "./config-validator.js";
+import { ConfigError } from "./error.js";
+import { logger, configureLogger, currentLogFormat } from "./logger.js";
+
+// History files kept when history is enabled without any limit
+const DEFAULT_HISTORY_COUNT = 100;
+// Failed captures are retried after retry_delay seconds, doubling each time
+const DEFAULT_RETRIES = 2;
+const DEFAULT_RETRY_DELAY = 10;
+const MAX_RETRY_DELAY = 600;
+// Consecutive failed captures (across jobs) after which the browser restarts
+const DEFAULT_BROWSER_RESTART_AFTER = 3;
+// Longest delay setTimeout supports (~24.8 days)
+const MAX_TIMEOUT = 2 ** 31 - 1;
+const STAGGER_DELAY = 2000; // 2 seconds between each batch of initial captures
+const CONFIG_POLL_INTERVAL = 2000; // milliseconds
+const ADD_ON_OPTIONS_FILE = "/data/options.json";
+// Settings only read at startup
+const RESTART_SETTINGS = ["server_port", "publish_entities"];
+// Page settings composite parts take from their job unless they set them
+const INHERITED_PART_SETTINGS = [
+  "zoom",
+  "lang",
+  "theme",
+  "dark",
+  "header",
+  "readiness",
+  "readiness_timeout",
+  "readiness_stable",
+  "wait",
+];
+
+/**
+ * Parameters for loading and capturing one dashboard (ensure types are correct)
+ * @param {object} settings - Screenshot config or composite part
+ */
+function pageParams(settings) {
+  return {
+    pagePath: settings.path,
+    viewport: settings.viewport && {
+      width: parseInt(settings.viewport.width),
+      height: parseInt(settings.viewport.height),
+    },
+    extraWait: settings.wait ? parseInt(settings.wait) : undefined,
+    zoom: settings.zoom ? parseFloat(settings.zoom) : 1,
+    lang: settings.lang,
+    theme: settings.theme,
+    dark: settings.dark || false,
+    header: settings.header || "auto",
+    readiness: settings.readiness || "fixed",
+    readinessTimeout: settings.readiness_timeout,
+    readinessStable: settings.readiness_stable,
+    selector: settings.selector,
+    selectorPadding: settings.selector_padding || 0,
+    selectorBackground: settings.selector_background,
+  };
+}
+
+/**
+ * What a job captures, for log messages
+ */
+function describeTarget(screenshotConfig) {
+  const { composite } = screenshotConfig;
+  return composite ? composite.parts.map((part) => part.path).join(" + ") : screenshotConfig.path;
+}
 
 /**
  * Manages scheduled screenshot jobs
@@ -14,35 +97,93 @@ class ScreenshotScheduler {
     this.fileManager = fileManager;
     this.jobs = new Map();
     this.isShuttingDown = false;
-    this.offHours = null; // { start: "HH:MM", end: "HH:MM" }
+    this.offHours = null; // Global TimeWindows, default for jobs without their own
+    this.timezone = undefined;
+    // Per job: { active, off, intervals } TimeWindows from active_hours,
+    // off_hours and interval_windows
+    this.jobWindows = new Map();
+    this.config = null;
+    this.devices = new DeviceRegistry();
+
+    // Hash/fingerprint of the last written image per job, for change detection
+    this.lastCaptures = new Map();
+    // Outcome of the most recent run per job
+    this.jobStatus = new Map();
+    this.statusListeners = [];
+
+    // Captures in flight by job name, and jobs to capture again afterwards
+    this.capturing = new Map();
+    this.pendingCaptures = new Set();
+    // Jobs whose scheduled and triggered captures are skipped
+    this.paused = new Set();
+
+    // Browser failures since the last successful capture, and browser restarts so far
+    this.consecutiveFailures = 0;
+    this.browserGeneration = 0;
+
+    // Called with the new config after a reload
+    this.reloadListeners = [];
+    this.watchedConfigFile = undefined;
   }
 
   /**
-   * Check if current time is within off-hours window
-   * @returns {boolean} true if currently in off-hours (screenshots should be skipped)
+   * Time windows of a job, parsed once per job name
+   * @returns {{active: TimeWindows|null, off: TimeWindows|null, intervals: TimeWindows|null}}
    */
-  isOffHours() {
-    if (!this.offHours) {
-      return false;
+  getJobWindows(screenshotConfig) {
+    let windows = this.jobWindows.get(screenshotConfig.name);
+    if (!windows) {
+      const timezone = screenshotConfig.timezone || this.timezone;
+      windows = {
+        active: screenshotConfig.active_hours
+          ? new TimeWindows(screenshotConfig.active_hours, "active_hours", timezone)
+          : null,
+        off: screenshotConfig.off_hours
+          ? new TimeWindows(screenshotConfig.off_hours, "off_hours", timezone)
+          : null,
+        intervals: screenshotConfig.interval_windows
+          ? new TimeWindows(screenshotConfig.interval_windows, "interval_windows", timezone)
+          : null,
+      };
+      this.jobWindows.set(screenshotConfig.name, windows);
     }
+    return windows;
+  }
 
-    const now = new Date();
-    const currentMinutes = now.getHours() * 60 + now.getMinutes();
-
-    // Parse start and end times
-    const [startHour, startMin] = this.offHours.start.split(':').map(Number);
-    const [endHour, endMin] = this.offHours.end.split(':').map(Number);
-    const startMinutes = startHour * 60 + startMin;
-    const endMinutes = endHour * 60 + endMin;
-
-    // Handle cases where off-hours spans midnight
-    if (startMinutes <= endMinutes) {
-      // Same day range (e.g., 09:00 - 17:00)
-      return currentMinutes >= startMinutes && currentMinutes < endMinutes;
-    } else {
-      // Spans midnight (e.g., 22:00 - 06:00)
-      return currentMinutes >= startMinutes || currentMinutes < endMinutes;
+  /**
+   * Refresh interval in effect for a job at a given time
+   * @returns {number} Seconds, from the matching interval_windows entry or the job's interval
+   */
+  currentInterval(screenshotConfig, now = new Date()) {
+    const window = this.getJobWindows(screenshotConfig).intervals?.find(now);
+    return window ? parseInt(window.source.interval) : screenshotConfig.interval;
+  }
+
+  /**
+   * Find the rule that keeps a job from capturing at a given time
+   * Jobs with their own active_hours or off_hours ignore the global off_hours;
+   * an empty off_hours list opts a job out of it.
+   * @returns {string|null} The rule that applies (e.g. "off_hours 23:00-07:00 (global)"), or null to capture
+   */
+  getSkipReason(screenshotConfig, now = new Date()) {
+    if (this.paused.has(screenshotConfig.name)) {
+      return "paused";
     }
+    const { active, off } = this.getJobWindows(screenshotConfig);
+    if (active && !active.match(now)) {
+      return `outside active_hours ${active}`;
+    }
+    const offWindow = off?.match(now);
+    if (offWindow) {
+      return `off_hours ${offWindow}`;
+    }
+    if (!active && !off && this.offHours) {
+      const globalWindow = this.offHours.match(now);
+      if (globalWindow) {
+        return `off_hours ${globalWindow} (global)`;
+      }
+    }
+    return null;
   }
 
   /**
@@ -63,176 +204,837 @@ class ScreenshotScheduler {
       config = JSON.parse(configData);
     }
 
-    if (!config.screenshots || !Array.isArray(config.screenshots)) {
-      throw new Error(
-        'Configuration must contain a "screenshots" array property',
-      );
+    coerceListOptions(config);
+    const errors = validateConfig(config);
+    if (errors.length > 0) {
+      throw new ConfigError(errors);
     }
 
-    // Validate and store off-hours configuration if present
+    const names = config.screenshots.map((screenshot) => screenshot.name);
+    const duplicate = names.find((name, index) => names.indexOf(name) !== index);
+    if (duplicate !== undefined) {
+      throw new Error(`Screenshot name "${duplicate}" is used more than once`);
+    }
+
+    if (config.timezone !== undefined) {
+      try {
+        new Intl.DateTimeFormat("en-US", { timeZone: config.timezone });
+      } catch (err) {
+        throw new Error(`Invalid timezone "${config.timezone}" (must be an IANA name like Europe/Amsterdam)`);
+      }
+    }
+
+    this.timezone = config.timezone;
+    this.jobWindows = new Map();
+
+    // Validate and store the global off-hours configuration if present
+    this.offHours = null;
     if (config.off_hours) {
-      if (!config.off_hours.start || !config.off_hours.end) {
-        throw new Error('off_hours must contain both "start" and "end" properties');
+      this.offHours = new TimeWindows(config.off_hours, "off_hours", config.timezone);
+      logger.info(`Off-hours configured: ${this.offHours}`);
+    }
+
+    // Normalize each screenshot config and check what the schema can't:
+    // settings that depend on each other and values it only knows as strings
+    config.screenshots.forEach((screenshot) => {
+      // Normalize viewport: support both {width, height} and separate width/height fields
+      if (!screenshot.viewport) {
+        screenshot.viewport = {
+          width: screenshot.width,
+          height: screenshot.height
+        };
       }
 
-      const timeRegex = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
-      if (!timeRegex.test(config.off_hours.start)) {
-        throw new Error(`Invalid off_hours start time: ${config.off_hours.start} (must be HH:MM format)`);
+      if (screenshot.composite) {
+        for (const key of ["path", "selector"]) {
+          if (screenshot[key] !== undefined) {
+            throw new Error(
+              `Screenshot "${screenshot.name}" uses "composite", set "${key}" on its parts instead`,
+            );
+          }
+        }
+        try {
+          layoutComposite(screenshot.composite, screenshot.viewport);
+        } catch (err) {
+          throw new Error(`Screenshot "${screenshot.name}" has invalid "composite": ${err.message}`);
+        }
       }
-      if (!timeRegex.test(config.off_hours.end)) {
-        throw new Error(`Invalid off_hours end time: ${config.off_hours.end} (must be HH:MM format)`);
+
+      if (screenshot.schedule !== undefined) {
+        try {
+          const cron = new CronExpression(screenshot.schedule, screenshot.timezone || config.timezone);
+          // Throws for expressions that can never fire (e.g. "0 0 30 2 *")
+          const [first, second] = cron.nextTimes(2);
+          // Image max-age, refresh rates and stale checks still use "interval",
+          // so derive one from the schedule when it is not set explicitly
+          if (!screenshot.interval) {
+            screenshot.interval = Math.round((second - first) / 1000);
+          }
+        } catch (err) {
+          throw new Error(`Screenshot "${screenshot.name}" has invalid "schedule": ${err.message}`);
+        }
       }
 
-      this.offHours = {
-        start: config.off_hours.start,
-        end: config.off_hours.end,
-      };
+      if (screenshot.palette !== undefined) {
+        try {
+          resolvePalette(screenshot.palette);
+        } catch (err) {
+          throw new Error(`Screenshot "${screenshot.name}" has invalid "palette": ${err.message}`);
+        }
+        if (!["png", "bmp", undefined].includes(screenshot.format)) {
+          throw new Error(
+            `Screenshot "${screenshot.name}" uses "palette", which requires "format" png or bmp`,
+          );
+        }
+        if (screenshot.eink !== undefined) {
+          throw new Error(
+            `Screenshot "${screenshot.name}" uses "palette", which replaces "eink", set only one of them`,
+          );
+        }
+      }
 
-      logger.info(`Off-hours configured: ${this.offHours.start} - ${this.offHours.end}`);
-    }
+      if (screenshot.trigger_entities !== undefined) {
+        if (typeof screenshot.trigger_entities === "string") {
+          screenshot.trigger_entities = screenshot.trigger_entities.split(",");
+        }
+        screenshot.trigger_entities = screenshot.trigger_entities
+          .map((entity) => entity.trim())
+          .filter(Boolean);
+      }
 
-    // Validate and normalize each screenshot config
-    config.screenshots.forEach((screenshot, index) => {
-      if (!screenshot.name) {
-        throw new Error(`Screenshot at index ${index} missing required "name"`);
+      try {
+        this.getJobWindows(screenshot);
+      } catch (err) {
+        throw new Error(`Screenshot "${screenshot.name}": ${err.message}`);
       }
-      if (!screenshot.path) {
+      if (screenshot.interval_windows !== undefined && screenshot.schedule !== undefined) {
         throw new Error(
-          `Screenshot "${screenshot.name}" missing required "path"`,
+          `Screenshot "${screenshot.name}" cannot combine "schedule" with "interval_windows"`,
         );
       }
 
-      // Normalize viewport: support both {width, height} and separate width/height fields
-      if (!screenshot.viewport) {
-        if (screenshot.width && screenshot.height) {
-          screenshot.viewport = {
-            width: screenshot.width,
-            height: screenshot.height
-          };
+      // Normalize history to false or its limits
+      if (screenshot.history !== undefined) {
+        const history = typeof screenshot.history === "object"
+          ? screenshot.history
+          : { enabled: Boolean(screenshot.history) };
+        if (history.enabled === false) {
+          screenshot.history = false;
         } else {
+          const limits = {};
+          for (const key of ["max_count", "max_age_hours", "max_size_mb"]) {
+            if (history[key] !== undefined) {
+              limits[key] = history[key];
+            }
+          }
+          if (Object.keys(limits).length === 0) {
+            limits.max_count = DEFAULT_HISTORY_COUNT;
+          }
+          screenshot.history = limits;
+        }
+      }
+
+      if (screenshot.timelapse !== undefined) {
+        if (!screenshot.history) {
+          throw new Error(
+            `Screenshot "${screenshot.name}" uses "timelapse", which requires "history"`,
+          );
+        }
+        if (screenshot.format === "bmp") {
           throw new Error(
-            `Screenshot "${screenshot.name}" missing required "viewport" or "width"/"height"`,
+            `Screenshot "${screenshot.name}" uses "timelapse", which can't read "bmp" history (use png, jpeg or webp)`,
           );
         }
+        try {
+          resolveTimelapseOptions(screenshot.timelapse);
+          if (screenshot.timelapse.schedule !== undefined) {
+            new CronExpression(
+              screenshot.timelapse.schedule,
+              screenshot.timezone || config.timezone,
+            ).next();
+          }
+        } catch (err) {
+          throw new Error(`Screenshot "${screenshot.name}" has invalid "timelapse": ${err.message}`);
+        }
       }
+    });
 
-      if (!screenshot.viewport.width || !screenshot.viewport.height) {
+    // Validate the device registry and add variant jobs for device overrides
+    this.devices = new DeviceRegistry();
+    if (config.devices) {
+      this.devices = new DeviceRegistry(config.devices, config.screenshots);
+      config.screenshots.push(...this.devices.variantJobs());
+      const clash = this.devices
+        .variantJobs()
+        .find((variant) => names.includes(variant.name));
+      if (clash) {
         throw new Error(
-          `Screenshot "${screenshot.name}" viewport missing width or height`,
+          `Screenshot name "${clash.name}" is also used for a device variant of "${clash.name.slice(0, clash.name.lastIndexOf("--"))}", please rename the screenshot`,
         );
       }
+      logger.info(`Registered ${this.devices.devices.length} device(s)`);
+    }
 
-      if (!screenshot.interval || screenshot.interval < 1) {
-        throw new Error(
-          `Screenshot "${screenshot.name}" missing or invalid "interval" (must be >= 1 second)`,
-        );
+    // Validate TRMNL device API configuration if present
+    if (config.trmnl) {
+      const trmnl = config.trmnl;
+      if (!trmnl.screenshot && !config.devices) {
+        throw new Error('trmnl must contain a "screenshot" property naming the job to serve, or "devices" must be configured');
       }
-    });
+      if (
+        trmnl.screenshot &&
+        !config.screenshots.some((screenshot) => screenshot.name === trmnl.screenshot)
+      ) {
+        throw new Error(`trmnl screenshot "${trmnl.screenshot}" does not match any configured screenshot`);
+      }
+    }
+
+    config.server_port = config.server_port || 2300;
+    config.browser_pages = config.browser_pages || 1;
+
+    configureLogger({ level: config.log_level, format: config.log_format });
 
     return config;
   }
 
+  /**
+   * Register a callback for job run outcomes
+   * @param {Function} listener - (screenshotConfig, jobStatus) => void
+   */
+  addStatusListener(listener) {
+    this.statusListeners.push(listener);
+  }
+
+  /**
+   * Record the outcome of a job run and notify status listeners
+   * @param {object} screenshotConfig - Config of the job that ran
+   * @param {string} status - "saved", "unchanged", "skipped" or "failed"
+   * @param {object} result - Result returned by captureScreenshot
+   */
+  recordStatus(screenshotConfig, status, result) {
+    const jobStatus = {
+      status,
+      time: new Date(),
+      interval: this.currentInterval(screenshotConfig),
+      ...result,
+    };
+    this.jobStatus.set(screenshotConfig.name, jobStatus);
+    for (const listener of this.statusListeners) {
+      try {
+        listener(screenshotConfig, jobStatus);
+      } catch (err) {
+        logger.warn(`Status listener failed for "${screenshotConfig.name}":`, err.message);
+      }
+    }
+  }
+
+  /**
+   * Compare a capture against the last written image of the job
+   * @returns {{changed: boolean, reason: string, hash: string}}
+   */
+  detectChange(screenshotConfig, requestParams, screenshotResult) {
+    const mode = screenshotConfig.change_detection || "off";
+    const hash = imageHash(screenshotResult.image);
+    if (mode === "off") {
+      return { changed: true, reason: "change detection off", hash };
+    }
+
+    let previous = this.lastCaptures.get(screenshotConfig.name);
+    if (!previous && mode === "hash") {
+      // After a restart, compare against the file already on disk
+      const latest = this.fileManager.getLatestFile(
+        screenshotConfig.name,
+        requestParams.format,
+        requestParams.einkColors,
+      );
+      if (latest) {
+        previous = { hash: imageHash(readFileSync(latest.path)) };
+      }
+    }
+    if (!previous) {
+      return { changed: true, reason: "no previous capture", hash };
+    }
+
+    if (mode === "hash") {
+      return previous.hash === hash
+        ? { changed: false, reason: "identical hash", hash }
+        : { changed: true, reason: "hash differs", hash };
+    }
+
+    if (!previous.fingerprint || !screenshotResult.fingerprint) {
+      return { changed: true, reason: "no previous fingerprint", hash };
+    }
+    const threshold =
+      screenshotConfig.change_threshold !== undefined
+        ? parseFloat(screenshotConfig.change_threshold)
+        : DEFAULT_CHANGE_THRESHOLD;
+    const difference = fingerprintDifference(
+      previous.fingerprint,
+      screenshotResult.fingerprint,
+    );
+    const reason = `${difference.toFixed(2)}% differs, threshold ${threshold}%`;
+    return { changed: difference > threshold, reason, hash };
+  }
+
   /**
    * Capture a single screenshot based on config
+   * Failed attempts are retried "retries" times with a growing delay, and
+   * browser failures among them count towards a browser restart (see
+   * handleCaptureFailure).
+   * @param {object} screenshotConfig - Job to capture
+   * @param {object} options
+   * @param {boolean} options.force - Capture even when paused or outside the job's hours
    */
-  async captureScreenshot(screenshotConfig) {
+  async captureScreenshot(screenshotConfig, { force = false } = {}) {
     const { name } = screenshotConfig;
+    const log = logger.child({ job: name });
 
-    // Check if currently in off-hours
-    if (this.isOffHours()) {
-      logger.debug(`Skipping "${name}" - currently in off-hours (${this.offHours.start} - ${this.offHours.end})`);
-      return { success: false, skipped: true, reason: 'off-hours' };
+    // Check pause, active_hours and off_hours
+    const skipReason = force ? null : this.getSkipReason(screenshotConfig);
+    if (skipReason) {
+      log.debug(`Skipping "${name}" - ${skipReason}`);
+      const result = { success: false, skipped: true, reason: skipReason };
+      this.recordStatus(screenshotConfig, "skipped", result);
+      return result;
     }
 
-    try {
-      logger.info(`Capturing "${name}" from ${screenshotConfig.path}`);
-      const start = Date.now();
-
-      // Prepare request parameters (ensure types are correct)
-      const requestParams = {
-        pagePath: screenshotConfig.path,
-        viewport: {
-          width: parseInt(screenshotConfig.viewport.width),
-          height: parseInt(screenshotConfig.viewport.height),
-        },
-        extraWait: screenshotConfig.wait ? parseInt(screenshotConfig.wait) : undefined,
-        einkColors: screenshotConfig.eink ? parseInt(screenshotConfig.eink) : undefined,
-        invert: screenshotConfig.invert || false,
-        zoom: screenshotConfig.zoom ? parseFloat(screenshotConfig.zoom) : 1,
-        format: screenshotConfig.format || "png",
-        rotate: screenshotConfig.rotate ? parseInt(screenshotConfig.rotate) : undefined,
-        lang: screenshotConfig.lang,
-        theme: screenshotConfig.theme,
-        dark: screenshotConfig.dark || false,
-      };
+    const retries = screenshotConfig.retries ?? DEFAULT_RETRIES;
+    const start = Date.now();
+    for (let attempt = 1; ; attempt++) {
+      const generation = this.browserGeneration;
+      try {
+        const result = await this.captureOnce(screenshotConfig);
+        this.consecutiveFailures = 0;
+        return result;
+      } catch (err) {
+        log.debug("Stack trace:", err.stack);
+        await this.handleCaptureFailure(name, err, generation);
 
-      // Navigate and screenshot atomically to prevent race conditions
-      const screenshotResult =
-        await this.browser.navigateAndScreenshot(requestParams);
+        // Not when shutting down, or when the job was removed meanwhile
+        if (attempt > retries || this.isShuttingDown || !this.jobs.has(name)) {
+          log.error(`✗ Failed to capture "${name}" (attempt ${attempt}/${retries + 1}):`, err.message);
+          const result = {
+            success: false,
+            error: err.message,
+            attempts: attempt,
+            duration: Date.now() - start,
+          };
+          this.recordStatus(screenshotConfig, "failed", result);
+          return result;
+        }
+        const delay = this.retryDelay(screenshotConfig, attempt);
+        log.warn(
+          `✗ Capture of "${name}" failed (attempt ${attempt}/${retries + 1}): ${err.message}, retrying in ${delay}s`,
+        );
+        await new Promise((resolve) => setTimeout(resolve, delay * 1000));
+      }
+    }
+  }
 
-      // Save to disk
-      const savedPath = this.fileManager.saveScreenshot(
-        name,
-        screenshotResult.image,
-        requestParams.format,
-        requestParams.einkColors,
-        false, // keepHistory - set to true if you want timestamped copies
+  /**
+   * Seconds to wait before the next attempt, doubling after every failure
+   * @param {number} attempt - The attempt that failed, starting at 1
+   */
+  retryDelay(screenshotConfig, attempt) {
+    const delay = (screenshotConfig.retry_delay ?? DEFAULT_RETRY_DELAY) * 2 ** (attempt - 1);
+    return Math.min(delay, MAX_RETRY_DELAY);
+  }
+
+  /**
+   * Count a failed capture towards a browser restart
+   * Only failures of the browser itself count, a restart doesn't fix a
+   * wrong path or a missing element. Failures of attempts that started
+   * before the last restart don't count either, they most likely broke
+   * because of it.
+   * @param {string} name - Job that failed
+   * @param {Error} err
+   * @param {number} generation - this.browserGeneration when the attempt started
+   */
+  async handleCaptureFailure(name, err, generation) {
+    const threshold = this.config?.browser_restart_after ?? DEFAULT_BROWSER_RESTART_AFTER;
+    if (generation !== this.browserGeneration || threshold === 0 || !isBrowserError(err)) {
+      return;
+    }
+    this.consecutiveFailures++;
+    if (this.consecutiveFailures < threshold) {
+      return;
+    }
+    this.browserGeneration++;
+    this.consecutiveFailures = 0;
+    await this.browser.restart(
+      `${threshold} consecutive browser failures, the last capturing "${name}": ${err.message}`,
+    );
+  }
+
+  /**
+   * Navigate, screenshot and save a job once
+   * @returns {Promise<object>} Result of the capture, throws when it failed
+   */
+  async captureOnce(screenshotConfig) {
+    const { name } = screenshotConfig;
+    const log = logger.child({ job: name });
+    const start = Date.now();
+    log.info(`Capturing "${name}" from ${describeTarget(screenshotConfig)}`);
+
+    const requestParams = {
+      ...pageParams(screenshotConfig),
+      einkColors: screenshotConfig.eink ? parseInt(screenshotConfig.eink) : undefined,
+      invert: screenshotConfig.invert || false,
+      format: screenshotConfig.format || "png",
+      rotate: screenshotConfig.rotate ? parseInt(screenshotConfig.rotate) : undefined,
+      dither: screenshotConfig.dither || "none",
+      bmpTopDown: screenshotConfig.bmp_order === "top-down",
+      palette: screenshotConfig.palette ? resolvePalette(screenshotConfig.palette) : undefined,
+      fingerprint: screenshotConfig.change_detection === "perceptual",
+    };
+
+    let screenshotResult;
+    if (screenshotConfig.composite) {
+      const { parts, ...layout } = screenshotConfig.composite;
+      const inherited = Object.fromEntries(
+        INHERITED_PART_SETTINGS.filter((key) => screenshotConfig[key] !== undefined).map((key) => [
+          key,
+          screenshotConfig[key],
+        ]),
       );
+      requestParams.composite = {
+        ...layout,
+        parts: parts.map((part) => ({ ...part, ...pageParams({ ...inherited, ...part }) })),
+      };
+      screenshotResult = await this.browser.compositeScreenshot(requestParams, name, log);
+    } else {
+      // Navigate and screenshot atomically to prevent race conditions
+      screenshotResult = await this.browser.navigateAndScreenshot(requestParams, name, log);
+    }
+    const timings = {
+      navigation: screenshotResult.navigationTime,
+      screenshot: screenshotResult.time,
+    };
 
-      const localUrl = this.fileManager.getLocalUrl(
+    const localUrl = this.fileManager.getLocalUrl(
+      name,
+      requestParams.format,
+      requestParams.einkColors,
+    );
+
+    // Skip the write when the image hasn't changed since the last capture
+    const change = this.detectChange(screenshotConfig, requestParams, screenshotResult);
+    if (!change.changed) {
+      const latest = this.fileManager.getLatestFile(
         name,
         requestParams.format,
         requestParams.einkColors,
       );
+      const duration = Date.now() - start;
+      log.info(`= "${name}" unchanged (${change.reason}), skipped write (${duration}ms)`);
+      const result = {
+        success: true,
+        unchanged: true,
+        path: latest?.path,
+        url: localUrl,
+        duration,
+        timings,
+      };
+      this.recordStatus(screenshotConfig, "unchanged", result);
+      return result;
+    }
+    log.debug(`"${name}" changed: ${change.reason}`);
 
-      const totalTime = Date.now() - start;
-      logger.info(`✓ "${name}" saved to ${savedPath} (${totalTime}ms)`);
-      logger.info(`  Access at: ${localUrl}`);
+    // Save to disk
+    const saveStart = Date.now();
+    const savedPath = this.fileManager.saveScreenshot(
+      name,
+      screenshotResult.image,
+      requestParams.format,
+      requestParams.einkColors,
+      screenshotConfig.history || false,
+    );
+    this.lastCaptures.set(name, {
+      hash: change.hash,
+      fingerprint: screenshotResult.fingerprint,
+    });
 
-      return { success: true, path: savedPath, url: localUrl };
-    } catch (err) {
-      logger.error(`✗ Failed to capture "${name}":`, err.message);
-      logger.debug("Stack trace:", err.stack);
-      return { success: false, error: err.message };
+    const totalTime = Date.now() - start;
+    log.info(
+      { phase: "save", duration_ms: Date.now() - saveStart, total_ms: totalTime },
+      `✓ "${name}" saved to ${savedPath} (${totalTime}ms)`,
+    );
+    log.info(`  Access at: ${localUrl}`);
+
+    const result = {
+      success: true,
+      path: savedPath,
+      url: localUrl,
+      duration: totalTime,
+      timings,
+    };
+    this.recordStatus(screenshotConfig, "saved", result);
+    return result;
+  }
+
+  /**
+   * Run a capture unless one is already in flight for the job
+   * A request that arrives during a capture is remembered and runs once
+   * the current capture finishes, so no change is missed.
+   * @param {object} screenshotConfig - Job to capture
+   * @param {string} reason - Why the capture was requested (for logging)
+   * @param {object} options - Passed to captureScreenshot()
+   * @returns {Promise<object|undefined>} Result of the capture, undefined when queued or shutting down
+   */
+  async queueCapture(screenshotConfig, reason, options = {}) {
+    const { name } = screenshotConfig;
+    if (this.isShuttingDown) {
+      return undefined;
+    }
+    if (this.capturing.has(name)) {
+      logger.debug(`"${name}" capture already running, queued another (${reason})`);
+      this.pendingCaptures.add(name);
+      return undefined;
+    }
+
+    logger.debug(`Capture of "${name}" requested: ${reason}`);
+    const capture = this.captureScreenshot(screenshotConfig, options);
+    this.capturing.set(name, capture);
+    let result;
+    try {
+      result = await capture;
+    } finally {
+      this.capturing.delete(name);
+    }
+
+    // The job may have been changed by a reload since the capture started
+    const job = this.jobs.get(name);
+    if (this.pendingCaptures.delete(name) && job) {
+      await this.queueCapture(job.config, "queued during previous capture");
+    }
+    return result;
+  }
+
+  /**
+   * Capture a job right away, even when paused or outside its hours
+   * Waits for a capture already in flight, so the result is always of a
+   * capture that started after the request.
+   * @param {object} screenshotConfig - Job to capture
+   * @returns {Promise<object|undefined>} Result of the capture, undefined when shutting down
+   */
+  async captureNow(screenshotConfig) {
+    while (this.capturing.has(screenshotConfig.name)) {
+      await this.capturing.get(screenshotConfig.name).catch(() => {});
+    }
+    return this.queueCapture(screenshotConfig, "requested", { force: true });
+  }
+
+  /**
+   * Skip the scheduled and triggered captures of a job until it is resumed
+   * @returns {boolean} false for an unknown job
+   */
+  pauseJob(name) {
+    if (!this.jobs.has(name)) {
+      return false;
+    }
+    if (!this.paused.has(name)) {
+      this.paused.add(name);
+      logger.info(`Paused "${name}"`);
     }
+    return true;
+  }
+
+  /**
+   * @returns {boolean} false for an unknown job
+   */
+  resumeJob(name) {
+    if (!this.jobs.has(name)) {
+      return false;
+    }
+    if (this.paused.delete(name)) {
+      logger.info(`Resumed "${name}"`);
+    }
+    return true;
+  }
+
+  /**
+   * When a job's timers next fire
+   * @returns {Date|null} null for an unknown job
+   */
+  nextRun(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return null;
+    }
+    const times = [job.startupAt, job.nextRun].filter(Boolean);
+    return times.length > 0 ? new Date(Math.min(...times)) : null;
+  }
+
+  /**
+   * Run a job at the fire times of its cron schedule
+   * Each run sets the timeout for the next one, replacing the job's timer ID.
+   */
+  scheduleCron(job, cron) {
+    const now = new Date();
+    const next = cron.next(now);
+    // Fire times further out than setTimeout allows wake up early and recompute
+    const delay = Math.min(next - now, MAX_TIMEOUT);
+    job.nextRun = next.getTime();
+    job.timerId = setTimeout(() => {
+      if (this.isShuttingDown) {
+        return;
+      }
+      if (Date.now() >= next.getTime()) {
+        this.queueCapture(job.config, "schedule");
+      }
+      this.scheduleCron(job, cron);
+    }, delay);
+  }
+
+  /**
+   * Plan the next run of a job with interval_windows
+   * The next run is one current interval after the last one. When a window
+   * boundary comes first, the plan is redone at the boundary so the new
+   * interval takes effect right away.
+   * @param {object} job - Entry of this.jobs
+   * @param {number} lastRun - Timestamp (ms) of the previous capture
+   */
+  scheduleWindowed(job, lastRun) {
+    const { intervals } = this.getJobWindows(job.config);
+    const now = new Date();
+    const interval = this.currentInterval(job.config, now);
+    const due = new Date(Math.max(lastRun + interval * 1000, now.getTime()));
+    const boundary = intervals.nextChange(now, due);
+    const wakeUp = boundary || due;
+
+    job.nextRun = due.getTime();
+    job.timerId = setTimeout(() => {
+      if (this.isShuttingDown) {
+        return;
+      }
+      let previousRun = lastRun;
+      if (Date.now() >= due.getTime()) {
+        this.queueCapture(job.config, `interval ${interval}s`);
+        previousRun = Date.now();
+      } else if (boundary) {
+        logger.debug(
+          `"${job.config.name}" entering interval of ${this.currentInterval(job.config)}s`,
+        );
+      }
+      this.scheduleWindowed(job, previousRun);
+    }, Math.min(wakeUp - now, MAX_TIMEOUT));
   }
 
   /**
    * Schedule a recurring screenshot job
    */
   scheduleJob(screenshotConfig, startupDelayMs = 0) {
-    const { name, interval } = screenshotConfig;
+    const { name, interval, schedule } = screenshotConfig;
 
     if (this.jobs.has(name)) {
       logger.warn(`Job "${name}" already scheduled, skipping duplicate`);
       return;
     }
 
-    logger.info(`Scheduled "${name}" every ${interval}s → ${screenshotConfig.path}`);
+    let cron;
+    if (schedule) {
+      cron = new CronExpression(schedule, screenshotConfig.timezone || this.config?.timezone);
+      const upcoming = cron.nextTimes(3).map((time) => cron.format(time));
+      logger.info(
+        `Scheduled "${name}" on "${schedule}" → ${describeTarget(screenshotConfig)} (next: ${upcoming.join(", ")})`,
+      );
+    } else if (screenshotConfig.interval_windows) {
+      const { intervals } = this.getJobWindows(screenshotConfig);
+      const rates = intervals.windows.map(
+        (window) => `${window.source.interval}s ${window.description}`,
+      );
+      logger.info(
+        `Scheduled "${name}" every ${interval}s (${rates.join(", ")}) → ${describeTarget(screenshotConfig)}`,
+      );
+    } else {
+      logger.info(`Scheduled "${name}" every ${interval}s → ${describeTarget(screenshotConfig)}`);
+    }
+
+    const job = {
+      config: screenshotConfig,
+      timerId: undefined,
+      startupTimerId: undefined,
+      // Timestamps (ms) of the startup capture and the next recurring one
+      startupAt: undefined,
+      nextRun: undefined,
+    };
+    this.jobs.set(name, job);
 
     // Capture with optional startup delay to stagger multiple jobs
     if (startupDelayMs > 0) {
-      setTimeout(() => {
+      job.startupAt = Date.now() + startupDelayMs;
+      job.startupTimerId = setTimeout(() => {
+        job.startupAt = undefined;
         if (!this.isShuttingDown) {
-          this.captureScreenshot(screenshotConfig);
+          this.queueCapture(screenshotConfig, "startup");
         }
       }, startupDelayMs);
     } else {
-      this.captureScreenshot(screenshotConfig);
+      this.queueCapture(screenshotConfig, "startup");
     }
 
     // Schedule recurring captures
+    if (cron) {
+      this.scheduleCron(job, cron);
+      return;
+    }
+    if (screenshotConfig.interval_windows) {
+      this.scheduleWindowed(job, Date.now() + startupDelayMs);
+      return;
+    }
     const intervalMs = interval * 1000;
-    const timerId = setInterval(() => {
+    job.nextRun = Date.now() + intervalMs;
+    job.timerId = setInterval(() => {
+      job.nextRun = Date.now() + intervalMs;
       if (!this.isShuttingDown) {
-        this.captureScreenshot(screenshotConfig);
+        this.queueCapture(screenshotConfig, "interval");
       }
     }, intervalMs);
+  }
 
-    this.jobs.set(name, {
-      config: screenshotConfig,
-      timerId,
+  /**
+   * Stop the timers of a job and forget it
+   * A capture already in flight still finishes.
+   */
+  unscheduleJob(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return;
+    }
+    clearInterval(job.timerId);
+    clearTimeout(job.timerId);
+    clearTimeout(job.startupTimerId);
+    this.jobs.delete(name);
+    this.pendingCaptures.delete(name);
+    this.lastCaptures.delete(name);
+  }
+
+  /**
+   * Register a callback for applied configuration reloads
+   * @param {Function} listener - (config) => void
+   */
+  addReloadListener(listener) {
+    this.reloadListeners.push(listener);
+  }
+
+  /**
+   * Re-read the configuration and apply it to the running jobs
+   * Only added, removed and changed jobs are touched and the browser keeps
+   * running. An invalid configuration is logged and everything stays as is.
+   * @returns {boolean} Whether the new configuration was applied
+   */
+  reload() {
+    const previous = {
+      offHours: this.offHours,
+      timezone: this.timezone,
+      jobWindows: this.jobWindows,
+      devices: this.devices,
+    };
+    let config;
+    try {
+      config = this.loadConfig();
+    } catch (err) {
+      Object.assign(this, previous);
+      logger.error("Invalid configuration, keeping the running jobs:", err.message);
+      return false;
+    }
+
+    const oldConfig = this.config;
+    this.config = config;
+    this.browser.setPageCount(config.browser_pages);
+
+    const wanted = new Map(config.screenshots.map((screenshot) => [screenshot.name, screenshot]));
+    const counts = { added: 0, changed: 0, removed: 0, unchanged: 0 };
+    for (const [name, job] of [...this.jobs.entries()]) {
+      const screenshot = wanted.get(name);
+      if (!screenshot) {
+        logger.info(`Removing job "${name}"`);
+        this.unscheduleJob(name);
+        // Changed jobs stay paused, removed ones are forgotten
+        this.paused.delete(name);
+        counts.removed++;
+      } else if (JSON.stringify(screenshot) !== JSON.stringify(job.config)) {
+        logger.info(`Rescheduling changed job "${name}"`);
+        // A capture queued behind the running one then uses the new config
+        const pending = this.pendingCaptures.has(name);
+        this.unscheduleJob(name);
+        if (pending) {
+          this.pendingCaptures.add(name);
+        }
+        counts.changed++;
+      } else {
+        counts.unchanged++;
+      }
+    }
+
+    let started = 0;
+    for (const screenshot of config.screenshots) {
+      if (this.jobs.has(screenshot.name)) {
+        continue;
+      }
+      if (!oldConfig.screenshots.some(({ name }) => name === screenshot.name)) {
+        counts.added++;
+      }
+      const startupDelay = Math.floor(started / config.browser_pages) * STAGGER_DELAY;
+      this.scheduleJob(screenshot, startupDelay);
+      started++;
+    }
+
+    for (const key of RESTART_SETTINGS) {
+      if (JSON.stringify(config[key]) !== JSON.stringify(oldConfig[key])) {
+        logger.warn(`Changes to "${key}" take effect after a restart`);
+      }
+    }
+
+    for (const listener of this.reloadListeners) {
+      try {
+        listener(config);
+      } catch (err) {
+        logger.warn("Reload listener failed:", err.message);
+      }
+    }
+
+    logger.info(
+      `Configuration reloaded: ${counts.added} added, ${counts.changed} changed, ` +
+        `${counts.removed} removed, ${counts.unchanged} unchanged`,
+    );
+    return true;
+  }
+
+  /**
+   * Reload the configuration whenever its file changes
+   * The file is polled, which also notices editors that replace the file.
+   * @param {string} file - File to watch
+   * @param {Function} readConfig - Returns what loadConfig() should read,
+   *   a config object or the path of a JSON file
+   */
+  watchConfig(file, readConfig) {
+    let lastContent = existsSync(file) ? readFileSync(file, "utf8") : undefined;
+
+    watchFile(file, { interval: CONFIG_POLL_INTERVAL }, () => {
+      let content;
+      try {
+        content = readFileSync(file, "utf8");
+      } catch (err) {
+        logger.warn(`Cannot read configuration file ${file}:`, err.message);
+        return;
+      }
+      if (content === lastContent || this.isShuttingDown) {
+        return;
+      }
+      lastContent = content;
+
+      logger.info(`Configuration file ${file} changed, reloading`);
+      try {
+        this.configPath = readConfig();
+      } catch (err) {
+        logger.error("Invalid configuration, keeping the running jobs:", err.message);
+        return;
+      }
+      this.reload();
     });
+    this.watchedConfigFile = file;
+    logger.info(`Watching ${file} for configuration changes`);
   }
 
   /**
@@ -243,14 +1045,19 @@ class ScreenshotScheduler {
 
     try {
       const config = this.loadConfig();
+      this.config = config;
       logger.info(`Loaded ${config.screenshots.length} screenshot configuration(s)`);
 
-      // Schedule each screenshot with staggered startup delays
-      // This prevents "Browser is busy" errors when multiple screenshots
-      // are configured with the same interval
-      const STAGGER_DELAY = 2000; // 2 seconds between each initial capture
+      this.browser.setPageCount(config.browser_pages);
+      if (config.browser_pages > 1) {
+        logger.info(`Rendering on ${config.browser_pages} browser pages in parallel`);
+      }
+
+      // Schedule each screenshot with staggered startup delays, one batch
+      // per round of browser pages, so the initial captures don't all
+      // queue up behind a cold browser at once
       config.screenshots.forEach((screenshot, index) => {
-        const startupDelay = index * STAGGER_DELAY;
+        const startupDelay = Math.floor(index / config.browser_pages) * STAGGER_DELAY;
         this.scheduleJob(screenshot, startupDelay);
       });
 
@@ -268,12 +1075,14 @@ class ScreenshotScheduler {
     logger.info("Stopping scheduler");
     this.isShuttingDown = true;
 
-    // Clear all intervals
-    for (const [name, job] of this.jobs.entries()) {
-      clearInterval(job.timerId);
+    if (this.watchedConfigFile) {
+      unwatchFile(this.watchedConfigFile);
     }
 
-    this.jobs.clear();
+    // Clear all intervals and schedule timeouts
+    for (const name of [...this.jobs.keys()]) {
+      this.unscheduleJob(name);
+    }
 
     // Cleanup browser
     await this.browser.cleanup();
@@ -281,22 +1090,66 @@ class ScreenshotScheduler {
   }
 }
 
+/**
+ * Read the scheduler configuration from the add-on options
+ * @returns {object|null} null if the options don't contain screenshots
+ */
+function readAddOnOptions(optionsFile) {
+  const options = JSON.parse(readFileSync(optionsFile, "utf8"));
+  if (!options.screenshots || !Array.isArray(options.screenshots)) {
+    return null;
+  }
+  const config = { screenshots: options.screenshots };
+  // Include off_hours if configured
+  if (options.off_hours) {
+    config.off_hours = options.off_hours;
+  }
+  if (options.timezone) {
+    config.timezone = options.timezone;
+  }
+  if (options.browser_pages) {
+    config.browser_pages = options.browser_pages;
+  }
+  if (options.control_token) {
+    config.control_token = options.control_token;
+  }
+  if (options.log_level) {
+    config.log_level = options.log_level;
+  }
+  if (options.log_format) {
+    config.log_format = options.log_format;
+  }
+  if (options.browser_restart_after !== undefined) {
+    config.browser_restart_after = options.browser_restart_after;
+  }
+  if (options.health_failure_threshold) {
+    config.health_failure_threshold = options.health_failure_threshold;
+  }
+  // Include TRMNL device API if configured
+  if (options.trmnl?.image_base_url) {
+    config.trmnl = options.trmnl;
+  }
+  if (options.publish_entities) {
+    config.publish_entities = true;
+  }
+  // Include device registry if configured
+  if (options.devices?.length) {
+    config.devices = options.devices;
+  }
+  return config;
+}
+
 /**
  * Load configuration from add-on options or file
  */
 function loadConfiguration() {
   // Try to load from add-on options first
-  const optionsFile = isAddOn ? "/data/options.json" : null;
+  const optionsFile = isAddOn ? ADD_ON_OPTIONS_FILE : null;
 
   if (optionsFile && existsSync(optionsFile)) {
-    const options = JSON.parse(readFileSync(optionsFile, "utf8"));
-    if (options.screenshots && Array.isArray(options.screenshots)) {
+    const config = readAddOnOptions(optionsFile);
+    if (config) {
       logger.info("Using configuration from add-on options");
-      const config = { screenshots: options.screenshots };
-      // Include off_hours if configured
-      if (options.off_hours) {
-        config.off_hours = options.off_hours;
-      }
       return config;
     }
   }
@@ -322,12 +1175,51 @@ function loadConfiguration() {
   return configPath;
 }
 
+/**
+ * Check a configuration without starting anything
+ * @param {string} file - Config file or add-on options, defaults to the one the scheduler would use
+ * @returns {boolean} Whether the configuration is valid
+ */
+function validateConfigFile(file) {
+  let config;
+  try {
+    if (!file) {
+      config = loadConfiguration();
+    } else {
+      const data = JSON.parse(readFileSync(file, "utf8"));
+      // Add-on options also hold the connection settings, read them like the add-on does
+      config = data.access_token !== undefined ? readAddOnOptions(file) || data : data;
+    }
+  } catch (err) {
+    logger.error(`Cannot read ${file || "the configuration"}:`, err.message);
+    return false;
+  }
+
+  try {
+    const scheduler = new ScreenshotScheduler(config, null, null);
+    const { screenshots } = scheduler.loadConfig();
+    logger.info(`✓ Configuration is valid (${screenshots.length} screenshot job(s))`);
+    return true;
+  } catch (err) {
+    for (const line of err instanceof ConfigError ? err.errors : [err.message]) {
+      logger.error(line);
+    }
+    return false;
+  }
+}
+
 /**
  * Main entry point
  */
 async function main() {
-  // Clear console on startup for clean logs
-  console.clear();
+  requireOptions();
+  // The configuration applies its own log settings once it is loaded
+  configureLogger({ level: logLevel, format: logFormat });
+
+  // Clear console on startup for clean logs, but keep JSON output machine readable
+  if (currentLogFormat() === "text") {
+    console.clear();
+  }
 
   logger.info("=== Automated Puppet ===");
 
@@ -342,10 +1234,55 @@ async function main() {
   const browser = new Browser(hassUrl, hassToken);
   const fileManager = new FileManager(outputPath);
   const scheduler = new ScreenshotScheduler(config, browser, fileManager);
+  // Attached before starting, so the startup captures are counted
+  const metrics = new Metrics(scheduler, browser);
+  metrics.attach();
+
+  let apiServer;
+  let publisher;
+  let triggers;
+  let haEvents;
+  let timelapses;
+  let imageServer;
+  let trmnlApi;
+
+  // Capture on Home Assistant state changes for jobs with trigger_entities
+  const startTriggers = (screenshots) => {
+    if (triggers) {
+      // Keeps the debounce windows already open for jobs that still have triggers
+      triggers.update(screenshots);
+    } else {
+      triggers = new EntityTriggers(scheduler, screenshots);
+    }
+    if (!triggers.isEmpty && !haEvents) {
+      haEvents = new HomeAssistantEvents(hassUrl, hassToken, (entityId) =>
+        triggers.handleStateChanged(entityId),
+      );
+      haEvents.connect();
+    } else if (triggers.isEmpty && haEvents) {
+      haEvents.stop();
+      haEvents = undefined;
+    }
+  };
 
   // Handle graceful shutdown
   const shutdown = async () => {
     logger.info("Received shutdown signal");
+    if (apiServer) {
+      await apiServer.stop();
+    }
+    if (publisher) {
+      publisher.stop();
+    }
+    if (haEvents) {
+      haEvents.stop();
+    }
+    if (triggers) {
+      triggers.stop();
+    }
+    if (timelapses) {
+      timelapses.stop();
+    }
     await scheduler.stop();
     process.exit(0);
   };
@@ -356,11 +1293,67 @@ async function main() {
   // Start scheduler
   try {
     scheduler.start();
+
+    // Publish job status to Home Assistant as entities if enabled
+    if (scheduler.config.publish_entities) {
+      publisher = new HomeAssistantPublisher(hassUrl, hassToken);
+      publisher.attach(scheduler);
+      logger.info("Publishing capture status to Home Assistant entities");
+    }
+
+    startTriggers(scheduler.config.screenshots);
+
+    // Render timelapses of jobs with a timelapse schedule
+    timelapses = new Timelapses(scheduler, fileManager);
+    timelapses.start(scheduler.config.screenshots, scheduler.config.timezone);
   } catch (err) {
     logger.error("Fatal error:", err.message);
     process.exit(1);
   }
+
+  // Serve the latest images, timelapses and job controls, plus the TRMNL device API if configured
+  const { trmnl } = scheduler.config;
+  apiServer = new ApiServer(scheduler.config.server_port);
+  imageServer = new ImageServer(scheduler, fileManager, scheduler.devices);
+  imageServer.register(apiServer);
+  timelapses.register(apiServer);
+  new ControlApi(scheduler, hassToken).register(apiServer);
+  metrics.register(apiServer);
+  if (trmnl) {
+    trmnlApi = new TrmnlApi(trmnl, scheduler, fileManager, scheduler.devices);
+    trmnlApi.register(apiServer);
+  }
+  apiServer.start();
+
+  // Apply configuration changes without restarting the browser
+  scheduler.addReloadListener((newConfig) => {
+    startTriggers(newConfig.screenshots);
+    timelapses.stop();
+    timelapses.start(newConfig.screenshots, newConfig.timezone);
+    imageServer.devices = scheduler.devices;
+    if (trmnlApi && newConfig.trmnl) {
+      trmnlApi.config = newConfig.trmnl;
+      trmnlApi.devices = scheduler.devices;
+    } else if (Boolean(trmnlApi) !== Boolean(newConfig.trmnl)) {
+      logger.warn('Changes to "trmnl" take effect after a restart');
+    }
+  });
+  if (typeof config === "object") {
+    scheduler.watchConfig(ADD_ON_OPTIONS_FILE, () => {
+      const options = readAddOnOptions(ADD_ON_OPTIONS_FILE);
+      if (!options) {
+        throw new Error('Add-on options must contain a "screenshots" list');
+      }
+      return options;
+    });
+  } else {
+    scheduler.watchConfig(config, () => config);
+  }
 }
 
-// Run the scheduler
-main();
+// Run the scheduler, or check the configuration with "node scheduler.js validate [file]"
+if (process.argv[2] === "validate") {
+  process.exit(validateConfigFile(process.argv[3]) ? 0 : 1);
+} else {
+  main();
+}
@@ -1,11 +1,29 @@
-import puppeteer from "puppeteer";
+import puppeteer, { ProtocolError } from "puppeteer";
 import sharp from "sharp"; // Import sharp
-import { BMPEncoder } from "./bmp.js";
+import { BMPEncoder, greyRamp, greyRampIndices } from "./bmp.js";
+import { ditherGreyscale, ditherToPalette } from "./dither.js";
+import { paletteBitsPerPixel } from "./palette.js";
+import { PNGEncoder } from "./png.js";
+import { createFingerprint } from "./change-detector.js";
+import { layoutComposite, composeImage } from "./composite.js";
 import { debug, isAddOn, chromiumExecutable } from "./const.js";
-import { CannotOpenPageError } from "./error.js";
+import { CannotOpenPageError, ElementNotFoundError } from "./error.js";
 import { logger } from "./logger.js";
 
+// Render detection defaults, in ms
+export const DEFAULT_READINESS_TIMEOUT = 20_000;
+export const DEFAULT_READINESS_STABLE = 500;
+// Loading indicators of the frontend and its cards
+const SPINNER_ELEMENTS = ["ha-spinner", "ha-circular-progress", "mwc-circular-progress"];
+// Expected header height before it has been measured
 const HEADER_HEIGHT = 56;
+export const HEADER_MODES = ["auto", "hide", "keep"];
+// Toolbars of Lovelace, the energy/map panels and subpages
+const HEADER_SELECTORS = [".header", "app-header", "header.mdc-top-app-bar", ".toolbar"];
+// How long to wait for a "selector" element to render
+const SELECTOR_TIMEOUT = 10_000;
+// How long a restart waits for Chromium to close before killing it
+const BROWSER_CLOSE_TIMEOUT = 10_000;
 
 // These are JSON stringified values
 const hassLocalStorageDefaults = {
@@ -13,6 +31,192 @@ const hassLocalStorageDefaults = {
   selectedTheme: `{"dark": false}`,
 };
 
+/**
+ * Runs in the page: bounding box of the first rendered element matching a
+ * selector, searched through every shadow root. "a >>> b" looks for b
+ * inside the first match of a (including its shadow root).
+ * @returns {object|null} {x, y, width, height}, null until it is rendered
+ */
+function findElementRect(selector) {
+  const isRendered = (element) => {
+    const { width, height } = element.getBoundingClientRect();
+    return width > 0 && height > 0;
+  };
+  const queryDeep = (root, step, accept) => {
+    const queue = root.shadowRoot ? [root.shadowRoot, root] : [root];
+    while (queue.length > 0) {
+      const node = queue.shift();
+      const match = [...node.querySelectorAll(step)].find(accept);
+      if (match) {
+        return match;
+      }
+      for (const element of node.querySelectorAll("*")) {
+        if (element.shadowRoot) {
+          queue.push(element.shadowRoot);
+        }
+      }
+    }
+    return null;
+  };
+
+  const steps = selector.split(">>>").map((part) => part.trim());
+  let element = document;
+  for (const [index, step] of steps.entries()) {
+    // Only the element to capture has to be visible, not its containers
+    element = queryDeep(element, step, index === steps.length - 1 ? isRendered : () => true);
+    if (!element) {
+      return null;
+    }
+  }
+  const { x, y, width, height } = element.getBoundingClientRect();
+  return { x, y, width, height };
+}
+
+/**
+ * Runs in the page: find the app headers across all shadow roots, i.e.
+ * matches spanning the top of the page, and hide them or measure them.
+ * A hidden header also sets "--header-height" to 0 on its shadow host, so
+ * the panel drops the padding it keeps for it.
+ * @returns {number} Height the headers take up at the top, 0 once hidden
+ */
+function applyHeaderMode({ selectors, hide }) {
+  const headers = [];
+  const queue = [document];
+  while (queue.length > 0) {
+    const node = queue.shift();
+    for (const element of node.querySelectorAll("*")) {
+      if (element.shadowRoot) {
+        queue.push(element.shadowRoot);
+      }
+    }
+    for (const element of node.querySelectorAll(selectors.join(","))) {
+      const rect = element.getBoundingClientRect();
+      if (
+        rect.height > 0 &&
+        rect.top <= 1 &&
+        rect.width >= window.innerWidth / 2 &&
+        rect.bottom < window.innerHeight / 2
+      ) {
+        headers.push(element);
+      }
+    }
+  }
+
+  if (hide) {
+    for (const header of headers) {
+      header.style.display = "none";
+      header.getRootNode().host?.style.setProperty("--header-height", "0px");
+    }
+    return 0;
+  }
+  return Math.ceil(Math.max(0, ...headers.map((header) => header.getBoundingClientRect().bottom)));
+}
+
+/**
+ * Runs in the page: resolve once the dashboard is rendered. That is when
+ * no Lit element has an update pending, every hui-card shows its card, no
+ * spinner is visible, the images in view and the fonts have loaded, no
+ * Home Assistant request is waiting for its result and neither the DOM
+ * (in any shadow root) nor the WebSocket subscriptions changed for
+ * "stable" ms.
+ * @returns {Promise<object>} {ready, time, pending}, pending lists what was
+ *   still loading when "timeout" ms passed
+ */
+async function waitForRender({ stable, timeout, spinners }) {
+  const start = performance.now();
+  let lastChange = start;
+  const observer = new MutationObserver(() => {
+    lastChange = performance.now();
+  });
+  const observed = new Set();
+  const connection = document.querySelector("home-assistant")?.hass?.connection;
+  let lastCommandId = connection?.commandId;
+
+  const collectElements = () => {
+    const elements = [];
+    const queue = [document];
+    while (queue.length > 0) {
+      const root = queue.shift();
+      if (!observed.has(root)) {
+        observed.add(root);
+        observer.observe(root, { childList: true, subtree: true, attributes: true, characterData: true });
+        lastChange = performance.now();
+      }
+      for (const element of root.querySelectorAll("*")) {
+        elements.push(element);
+        if (element.shadowRoot) {
+          queue.push(element.shadowRoot);
+        }
+      }
+    }
+    return elements;
+  };
+
+  const isInView = (element) => {
+    const rect = element.getBoundingClientRect();
+    return (
+      rect.width > 0 &&
+      rect.height > 0 &&
+      rect.bottom > 0 &&
+      rect.right > 0 &&
+      rect.top < window.innerHeight &&
+      rect.left < window.innerWidth
+    );
+  };
+
+  const pendingReasons = (elements) => {
+    const counts = {
+      "elements updating": elements.filter((element) => element.isUpdatePending === true).length,
+      "cards not rendered": elements.filter(
+        (element) =>
+          element.localName === "hui-card" &&
+          !element.firstElementChild &&
+          !element.shadowRoot?.firstElementChild,
+      ).length,
+      "spinners visible": elements.filter(
+        (element) => spinners.includes(element.localName) && isInView(element),
+      ).length,
+      "images loading": elements.filter(
+        (element) => element.localName === "img" && element.src && !element.complete && isInView(element),
+      ).length,
+      "requests pending": connection?.commands
+        ? [...connection.commands.values()].filter((command) => !("subscribe" in command)).length
+        : 0,
+    };
+    const reasons = Object.entries(counts)
+      .filter(([, count]) => count > 0)
+      .map(([reason, count]) => `${count} ${reason}`);
+    if (document.fonts.status === "loading") {
+      reasons.push("fonts loading");
+    }
+    return reasons;
+  };
+
+  try {
+    for (;;) {
+      const reasons = pendingReasons(collectElements());
+      const now = performance.now();
+      // Stable time counts from when nothing is loading anymore
+      if (reasons.length > 0 || (connection && connection.commandId !== lastCommandId)) {
+        lastCommandId = connection?.commandId;
+        lastChange = now;
+      }
+      if (reasons.length === 0 && now - lastChange >= stable) {
+        return { ready: true, time: Math.round(now - start) };
+      }
+      if (now - start >= timeout) {
+        if (reasons.length === 0) {
+          reasons.push("page still changing");
+        }
+        return { ready: false, time: Math.round(now - start), pending: reasons };
+      }
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+  } finally {
+    observer.disconnect();
+  }
+}
+
 // From https://www.bannerbear.com/blog/ways-to-speed-up-puppeteer-screenshots/
 const puppeteerArgs = [
   "--autoplay-policy=user-gesture-required",
@@ -55,16 +259,219 @@ if (isAddOn) {
   puppeteerArgs.push("--enable-low-end-device-mode");
 }
 
-export class Browser {
-  constructor(homeAssistantUrl, token) {
-    this.homeAssistantUrl = homeAssistantUrl;
-    this.token = token;
-    this.browser = undefined;
+/**
+ * Turn a captured page into the requested output: eink colors or a
+ * palette, dithering, rotation and the output format
+ * @param {Buffer} image - Screenshot of the page
+ * @param {object} params - Screenshot parameters
+ * @returns {Promise<object>} {image, fingerprint}
+ */
+async function processImage(image, {
+  einkColors,
+  invert,
+  format,
+  rotate,
+  dither,
+  bmpTopDown,
+  palette,
+  fingerprint,
+}) {
+  // Thumbnail of the rendered page for perceptual change detection
+  const imageFingerprint = fingerprint
+    ? await createFingerprint(image)
+    : undefined;
+
+  let sharpInstance = sharp(image);
+
+  if (rotate) {
+    sharpInstance = sharpInstance.rotate(rotate);
+  }
+
+  // A palette replaces the eink grey levels: every pixel is mapped (and
+  // dithered) to the nearest palette color, and the palette is written out
+  // as-is, in the order the panel expects. Invert applies to the colors
+  // before they are mapped.
+  if (palette) {
+    const { data, info } = await sharpInstance
+      .flatten({ background: "#ffffff" })
+      .removeAlpha()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    if (invert) {
+      for (let i = 0; i < data.length; i++) {
+        data[i] = 255 - data[i];
+      }
+    }
+    const indices = ditherToPalette(
+      data,
+      info.width,
+      info.height,
+      palette,
+      dither || "none",
+    );
+    const bitsPerPixel = paletteBitsPerPixel(palette.length);
+    if (format == "bmp") {
+      const bmpEncoder = new BMPEncoder(
+        info.width,
+        info.height,
+        bitsPerPixel,
+        { palette, topDown: bmpTopDown },
+      );
+      image = bmpEncoder.encode(indices);
+    } else {
+      const pngEncoder = new PNGEncoder(
+        info.width,
+        info.height,
+        palette,
+        bitsPerPixel,
+      );
+      image = pngEncoder.encode(indices);
+    }
+    return { image, fingerprint: imageFingerprint };
+  }
+
+  // Dither down to evenly spaced grey levels when requested,
+  // otherwise manually handle color conversion for 2 colors
+  if (einkColors && dither && dither !== "none") {
+    const { data, info } = await sharpInstance
+      .flatten({ background: "#ffffff" })
+      .greyscale()
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+    const dithered = ditherGreyscale(
+      data,
+      info.width,
+      info.height,
+      einkColors,
+      dither,
+    );
+    sharpInstance = sharp(dithered, {
+      raw: { width: info.width, height: info.height, channels: 1 },
+    });
+  } else if (einkColors === 2) {
+    sharpInstance = sharpInstance.threshold(220, {
+      greyscale: true,
+    });
+  }
+
+  if (einkColors === 2 && invert) {
+    sharpInstance = sharpInstance.negate({
+      alpha: false,
+    });
+  }
+
+  // If eink processing was requested, output PNG with specified colors
+  if (einkColors) {
+    if (einkColors === 2) {
+      sharpInstance = sharpInstance.toColourspace("b-w");
+    }
+    if (format == "bmp") {
+      let bitsPerPixel = 8;
+      if (einkColors === 2) {
+        bitsPerPixel = 1;
+      } else if (einkColors === 4) {
+        bitsPerPixel = 2;
+      } else if (einkColors === 16) {
+        bitsPerPixel = 4;
+      }
+
+      if (bitsPerPixel === 1) {
+        sharpInstance = sharpInstance.raw();
+
+        const { data, info } = await sharpInstance.toBuffer({
+          resolveWithObject: true,
+        });
+        const bmpEncoder = new BMPEncoder(
+          info.width,
+          info.height,
+          bitsPerPixel,
+          { topDown: bmpTopDown },
+        );
+        image = bmpEncoder.encode(data);
+      } else {
+        // Reduce to evenly spaced grey levels (already done when dithered)
+        // and index them in the fixed grey ramp of the bit depth
+        const { data, info } = await sharpInstance
+          .flatten({ background: "#ffffff" })
+          .greyscale()
+          .raw()
+          .toBuffer({ resolveWithObject: true });
+        const levels = ditherGreyscale(data, info.width, info.height, einkColors, "none");
+        const indices = greyRampIndices(levels, bitsPerPixel);
+        const bmpEncoder = new BMPEncoder(
+          info.width,
+          info.height,
+          bitsPerPixel,
+          { palette: greyRamp(bitsPerPixel), topDown: bmpTopDown },
+        );
+        image = bmpEncoder.encode(indices);
+      }
+    } else if (format === "jpeg") {
+      sharpInstance = sharpInstance.jpeg();
+      image = await sharpInstance.toBuffer();
+    } else if (format === "webp") {
+      sharpInstance = sharpInstance.webp();
+      image = await sharpInstance.toBuffer();
+    } else {
+      sharpInstance = sharpInstance.png({
+        colours: einkColors,
+      });
+      image = await sharpInstance.toBuffer();
+    }
+  }
+  // Otherwise, output in the requested format
+  else if (format === "jpeg") {
+    sharpInstance = sharpInstance.jpeg();
+    image = await sharpInstance.toBuffer();
+  } else if (format === "webp") {
+    sharpInstance = sharpInstance.webp();
+    image = await sharpInstance.toBuffer();
+  } else if (format === "bmp") {
+    // The 24-bit encoder expects packed RGB without alpha
+    sharpInstance = sharpInstance.removeAlpha().raw();
+    const { data, info } = await sharpInstance.toBuffer({
+      resolveWithObject: true,
+    });
+    const bmpEncoder = new BMPEncoder(info.width, info.height, 24, {
+      topDown: bmpTopDown,
+    });
+    image = bmpEncoder.encode(data);
+  } else {
+    sharpInstance = sharpInstance.png();
+    image = await sharpInstance.toBuffer();
+  }
+
+  return { image, fingerprint: imageFingerprint };
+}
+
+/**
+ * Whether a capture failed because of the browser rather than the page
+ * A closed target or a broken DevTools connection (both ProtocolErrors)
+ * means Chromium is in trouble, while errors like a missing element or a
+ * page that doesn't load are up to the dashboard.
+ * @param {Error} err
+ * @returns {boolean}
+ */
+export function isBrowserError(err) {
+  return err instanceof ProtocolError;
+}
+
+/**
+ * One Chromium page and the state needed to keep its navigations warm
+ */
+class PageSlot {
+  constructor(index) {
+    this.index = index;
+    this.context = undefined;
     this.page = undefined;
     this.busy = false;
-    this.queue = [];
-    this.processing = false;
+    this.lastUsed = 0;
+    // Set when the pool shrank while this slot was busy
+    this.retired = false;
+    this.resetState();
+  }
 
+  resetState() {
     // The last path we requested a screenshot for
     // We store this instead of using page.url() because panels can redirect
     // users, ie / -> /lovelace/0.
@@ -72,34 +479,99 @@ export class Browser {
     this.lastRequestedLang = undefined;
     this.lastRequestedTheme = undefined;
     this.lastRequestedDarkMode = undefined;
+    this.lastHeaderMode = undefined;
+    // Pixels above the dashboard that screenshots leave out
+    this.headerHeight = undefined;
   }
+}
 
-  async cleanup() {
-    const { browser, page } = this;
+export class Browser {
+  /**
+   * @param {string} homeAssistantUrl
+   * @param {string} token
+   * @param {object} options
+   * @param {number} options.pageCount - Pages that render in parallel (default 1)
+   */
+  constructor(homeAssistantUrl, token, { pageCount = 1 } = {}) {
+    this.homeAssistantUrl = homeAssistantUrl;
+    this.token = token;
+    this.browser = undefined;
+    this.launching = undefined;
+    this.queue = [];
 
-    if (!this.browser && !this.page) {
-      return;
+    // Successful launches, and the error of the last launch if it failed
+    this.launches = 0;
+    this.launchError = undefined;
+
+    // Each page renders one task at a time. Tasks remember the page that
+    // last served their key (a job name or page path) and go back to it
+    // when it is free, so repeated captures of a job skip the navigation.
+    this.slots = [];
+    this.affinity = new Map();
+    this.setPageCount(pageCount);
+  }
+
+  get pageCount() {
+    return this.slots.length;
+  }
+
+  /**
+   * Times the browser was started again after the first launch
+   */
+  get restarts() {
+    return Math.max(0, this.launches - 1);
+  }
+
+  /**
+   * Grow or shrink the page pool
+   * Removed pages close once their current task is done.
+   */
+  setPageCount(count) {
+    while (this.slots.length < count) {
+      this.slots.push(new PageSlot(this.slots.length));
     }
+    for (const slot of this.slots.splice(count)) {
+      slot.retired = true;
+      if (!slot.busy) {
+        this.closeSlot(slot);
+      }
+    }
+    this.processQueue();
+  }
 
-    this.page = undefined;
-    this.browser = undefined;
-    this.lastRequestedPath = undefined;
-    this.lastRequestedLang = undefined;
-    this.lastRequestedTheme = undefined;
-    this.lastRequestedDarkMode = undefined;
+  async closeSlot(slot) {
+    const { page, context } = slot;
+    slot.page = undefined;
+    slot.context = undefined;
+    slot.resetState();
 
     try {
       if (page) {
         await page.close();
       }
+      if (context) {
+        await context.close();
+      }
     } catch (err) {
       logger.debug("Error closing page during cleanup:", err);
     }
+  }
+
+  async cleanup() {
+    const { browser } = this;
+
+    if (!browser) {
+      return;
+    }
+
+    this.browser = undefined;
+    this.affinity.clear();
+    for (const slot of this.slots) {
+      await this.closeSlot(slot);
+    }
 
     try {
-      if (browser) {
-        await browser.close();
-      }
+      await browser.close();
     } catch (err) {
       logger.debug("Error closing browser during cleanup:", err);
     }
@@ -107,55 +579,130 @@ export class Browser {
     logger.debug("Browser closed");
   }
 
+  /**
+   * Tear the browser down, the next task launches a fresh one
+   * A wedged Chromium that doesn't close in time is killed.
+   * @param {string} reason - Why, for the log
+   */
+  async restart(reason) {
+    logger.warn(`Restarting the browser: ${reason}`);
+    const chromium = this.browser?.process();
+
+    let timerId;
+    const timedOut = new Promise((resolve) => {
+      timerId = setTimeout(() => resolve(true), BROWSER_CLOSE_TIMEOUT);
+    });
+    const closed = this.cleanup().then(() => false);
+    if (await Promise.race([closed, timedOut])) {
+      logger.warn(`Browser did not close within ${BROWSER_CLOSE_TIMEOUT}ms, killing it`);
+      chromium?.kill("SIGKILL");
+    }
+    clearTimeout(timerId);
+  }
+
   /**
    * Add a task to the queue
+   * @param {Function} taskFn - (slot) => Promise, runs with a page slot to itself
+   * @param {string} key - Affinity key, tasks with the same key prefer the same page
    */
-  async enqueue(taskFn) {
+  async enqueue(taskFn, key) {
     return new Promise((resolve, reject) => {
-      this.queue.push({ taskFn, resolve, reject });
+      this.queue.push({ taskFn, key, resolve, reject });
       this.processQueue();
     });
   }
 
   /**
-   * Process tasks from the queue sequentially
+   * Start queued tasks on idle pages
    */
-  async processQueue() {
-    // If already processing, let that execution handle the queue
-    if (this.processing || this.queue.length === 0) {
-      return;
-    }
+  processQueue() {
+    while (this.queue.length > 0) {
+      const idle = this.slots.filter((slot) => !slot.busy);
+      if (idle.length === 0) {
+        return;
+      }
 
-    this.processing = true;
+      // Prefer a task whose own page is idle, otherwise the oldest task
+      let index = this.queue.findIndex((task) => idle.includes(this.affinity.get(task.key)));
+      if (index === -1) {
+        index = 0;
+      }
+      const [task] = this.queue.splice(index, 1);
 
-    while (this.queue.length > 0) {
-      const { taskFn, resolve, reject } = this.queue.shift();
-      try {
-        const result = await taskFn();
-        resolve(result);
-      } catch (err) {
-        reject(err);
+      let slot = this.affinity.get(task.key);
+      if (!idle.includes(slot)) {
+        // Least recently used page, unused pages first
+        slot = idle.reduce((best, candidate) =>
+          candidate.lastUsed < best.lastUsed ? candidate : best,
+        );
+      }
+      this.runTask(slot, task);
+    }
+  }
+
+  async runTask(slot, { taskFn, key, resolve, reject }) {
+    slot.busy = true;
+    this.affinity.set(key, slot);
+    if (this.slots.length > 1) {
+      logger.debug(`[POOL] Running "${key}" on page ${slot.index}`);
+    }
+    try {
+      resolve(await taskFn(slot));
+    } catch (err) {
+      reject(err);
+    } finally {
+      slot.busy = false;
+      slot.lastUsed = Date.now();
+      if (slot.retired) {
+        this.closeSlot(slot);
       }
+      this.processQueue();
     }
+  }
 
-    this.processing = false;
+  async launchBrowser() {
+    if (this.browser) {
+      return this.browser;
+    }
+    // Pages starting together share one launch
+    if (!this.launching) {
+      logger.info("Starting Chromium browser");
+      // We don't catch these errors on purpose, as we're
+      // not able to recover once the app fails to start.
+      this.launching = puppeteer
+        .launch({
+          headless: "shell",
+          executablePath: chromiumExecutable,
+          args: puppeteerArgs,
+          protocolTimeout: 300000, // 5 minutes for slow devices like Home Assistant Green
+        })
+        .then((browser) => {
+          this.browser = browser;
+          this.launches++;
+          this.launchError = undefined;
+          return browser;
+        })
+        .catch((err) => {
+          this.launchError = { message: err.message, time: new Date() };
+          throw err;
+        })
+        .finally(() => {
+          this.launching = undefined;
+        });
+    }
+    return this.launching;
   }
 
-  async getPage() {
-    if (this.page) {
-      return this.page;
+  async getPage(slot) {
+    if (slot.page) {
+      return slot.page;
     }
 
-    logger.info("Starting Chromium browser");
-    // We don't catch these errors on purpose, as we're
-    // not able to recover once the app fails to start.
-    const browser = await puppeteer.launch({
-      headless: "shell",
-      executablePath: chromiumExecutable,
-      args: puppeteerArgs,
-      protocolTimeout: 300000, // 5 minutes for slow devices like Home Assistant Green
-    });
-    const page = await browser.newPage();
+    const browser = await this.launchBrowser();
+    // Each page gets its own context, so localStorage (language, theme)
+    // of one page doesn't leak into the others
+    const context = await browser.createBrowserContext();
+    const page = await context.newPage();
 
     // Route critical errors to log (suppress verbose messages)
     page
@@ -182,37 +729,100 @@ export class Browser {
         ),
       );
 
-    this.browser = browser;
-    this.page = page;
-    return this.page;
+    slot.context = context;
+    slot.page = page;
+    return slot.page;
   }
 
   /**
    * Atomic operation: navigate AND screenshot in one queue item
    * This prevents race conditions where other operations slip between nav and screenshot
+   * @param {object} params - Navigation and screenshot parameters
+   * @param {string} key - Affinity key (e.g. the job name), defaults to the page path
+   * @param {object} log - Logger, e.g. a child with the job name
    */
-  async navigateAndScreenshot(params) {
-    return this.enqueue(async () => {
-      logger.info(`[ATOMIC] Starting atomic navigate+screenshot operation`);
-      await this._navigatePage(params);
-      const result = await this._screenshotPage(params);
-      logger.info(`[ATOMIC] Atomic operation complete`);
-      return result;
-    });
+  async navigateAndScreenshot(params, key = params.pagePath, log = logger) {
+    return this.enqueue(async (slot) => {
+      const pageLog = log.child({ page: slot.index });
+      pageLog.info(`[ATOMIC] Starting atomic navigate+screenshot operation`);
+      try {
+        const navigation = await this._navigatePage(params, slot, pageLog);
+        const result = await this._screenshotPage(params, slot, pageLog);
+        pageLog.info(`[ATOMIC] Atomic operation complete`);
+        return { ...result, navigationTime: navigation.time };
+      } catch (err) {
+        // Retries start with a full page load
+        slot.resetState();
+        throw err;
+      }
+    }, key);
+  }
+
+  /**
+   * Render every part of a composite job and combine them into one image
+   * Each part is its own queue item, so with more browser pages the parts
+   * render in parallel and every part keeps its page warm.
+   * @param {object} params - Screenshot parameters with "composite": {parts, columns, gap, background}
+   * @param {string} key - Affinity key (e.g. the job name), numbered per part
+   * @param {object} log - Logger, e.g. a child with the job name
+   */
+  async compositeScreenshot(params, key, log = logger) {
+    const { composite, viewport } = params;
+    const areas = layoutComposite(composite, viewport);
+
+    const parts = await Promise.all(
+      composite.parts.map((part, index) => {
+        // Parts render at the size of their area unless they set a viewport
+        const { width, height } = areas[index];
+        const partParams = { ...part, viewport: part.viewport || { width, height } };
+        return this.enqueue(async (slot) => {
+          const partLog = log.child({ page: slot.index, part: index + 1 });
+          try {
+            const navigation = await this._navigatePage(partParams, slot, partLog);
+            const start = Date.now();
+            const image = await this._capturePage(partParams, slot, "png", partLog);
+            return { image, navigationTime: navigation.time, time: Date.now() - start };
+          } catch (err) {
+            // Retries start with a full page load
+            slot.resetState();
+            throw err;
+          }
+        }, `${key}#${index + 1}`);
+      }),
+    );
+
+    const start = Date.now();
+    const combined = await composeImage(
+      parts.map((part) => part.image),
+      areas,
+      viewport,
+      composite.background,
+    );
+    const result = await processImage(combined, params);
+    const time = parts.reduce((sum, part) => sum + part.time, Date.now() - start);
+    log.info(
+      { phase: "screenshot", duration_ms: time },
+      `[COMPOSITE] Combined ${parts.length} parts, took ${time}ms`,
+    );
+    return {
+      ...result,
+      time,
+      navigationTime: parts.reduce((sum, part) => sum + part.navigationTime, 0),
+    };
   }
 
   /**
    * Public method that enqueues navigation
    */
-  async navigatePage(params) {
-    return this.enqueue(() => this._navigatePage(params));
+  async navigatePage(params, key = params.pagePath, log = logger) {
+    return this.enqueue((slot) => this._navigatePage(params, slot, log), key);
   }
 
   /**
    * Direct navigation without queueing (for use within already-queued operations)
    */
-  async navigatePageDirect(params) {
-    return this._navigatePage(params);
+  async navigatePageDirect(params, slot, log = logger) {
+    return this._navigatePage(params, slot, log);
   }
 
   async _navigatePage({
@@ -223,35 +833,36 @@ export class Browser {
     lang,
     theme,
     dark,
-  }) {
+    header = "auto",
+    readiness = "fixed",
+    readinessTimeout = DEFAULT_READINESS_TIMEOUT,
+    readinessStable = DEFAULT_READINESS_STABLE,
+  }, slot, log = logger) {
     const start = new Date();
-    const headerHeight = Math.round(HEADER_HEIGHT * zoom);
 
-    logger.info(`[NAV] Request to navigate to: ${pagePath}, current lastRequestedPath: ${this.lastRequestedPath}`);
+    log.info(`[NAV] Request to navigate to: ${pagePath}, current lastRequestedPath: ${slot.lastRequestedPath}`);
 
     try {
-      const page = await this.getPage();
+      const page = await this.getPage(slot);
 
-      // We add 56px to the height to account for the header
-      // We'll cut that off from the screenshot
-      viewport.height += headerHeight;
-
-      const curViewport = page.viewport();
-
-      if (
-        !curViewport ||
-        curViewport.width !== viewport.width ||
-        curViewport.height !== viewport.height
-      ) {
-        await page.setViewport(viewport);
+      // A hidden header only comes back with a page load
+      if (slot.lastHeaderMode === "hide" && header !== "hide") {
+        slot.lastRequestedPath = undefined;
       }
+      slot.lastHeaderMode = header;
+
+      // In auto mode the page is taller by the header, which the screenshot
+      // cuts off again. Until it is measured, expect the default header.
+      const expectedHeader =
+        header === "auto" ? (slot.headerHeight ?? Math.round(HEADER_HEIGHT * zoom)) : 0;
+      await this._setViewport(page, viewport, expectedHeader);
 
       let defaultWait = isAddOn ? 2000 : 1000;
       let openedNewPage = false;
       let changedPath = false;
 
       // If we're still on about:blank, navigate to HA UI
-      if (this.lastRequestedPath === undefined) {
+      if (slot.lastRequestedPath === undefined) {
         openedNewPage = true;
 
         // Ensure we have tokens when we open the UI
@@ -291,13 +902,13 @@ export class Browser {
         if (isAddOn) {
           defaultWait += 5000;
         }
-      } else if (this.lastRequestedPath !== pagePath) {
+      } else if (slot.lastRequestedPath !== pagePath) {
         changedPath = true;
 
         // Navigate to the new page with a full URL reload
         // The event-based navigation wasn't reliably changing Lovelace views
         const pageUrl = new URL(pagePath, this.homeAssistantUrl).toString();
-        logger.debug(`Navigating from ${this.lastRequestedPath} to ${pagePath}`);
+        log.debug(`Navigating from ${slot.lastRequestedPath} to ${pagePath}`);
 
         // Re-inject authentication tokens before navigation since page.goto() clears localStorage
         const clientId = new URL("/", this.homeAssistantUrl).toString();
@@ -337,8 +948,8 @@ export class Browser {
         defaultWait = 0;
       }
 
-      this.lastRequestedPath = pagePath;
-      logger.info(`[NAV] Updated lastRequestedPath to: ${pagePath}`);
+      slot.lastRequestedPath = pagePath;
+      log.info(`[NAV] Updated lastRequestedPath to: ${pagePath}`);
 
       // Dismiss any dashboard update avaiable toasts
       if (
@@ -398,31 +1009,31 @@ export class Browser {
           },
         );
       } catch (err) {
-        console.log("Timeout waiting for HA to finish loading");
+        log.warn("Timeout waiting for HA to finish loading");
       }
 
       // If we changed pages, add extra delay to ensure new content is rendered
-      if (changedPath) {
+      if (changedPath && readiness !== "detect") {
         await new Promise((resolve) => setTimeout(resolve, 500));
       }
 
       // Update language
       // Should really be done via localStorage.selectedLanguage
       // but that doesn't seem to work
-      if (lang !== this.lastRequestedLang) {
+      if (lang !== slot.lastRequestedLang) {
         await page.evaluate((newLang) => {
           document
             .querySelector("home-assistant")
             ._selectLanguage(newLang, false);
         }, lang || "en");
-        this.lastRequestedLang = lang;
+        slot.lastRequestedLang = lang;
         defaultWait += 1000;
       }
 
       // Update theme and dark mode
       if (
-        theme !== this.lastRequestedTheme ||
-        dark !== this.lastRequestedDarkMode
+        theme !== slot.lastRequestedTheme ||
+        dark !== slot.lastRequestedDarkMode
       ) {
         await page.evaluate(
           ({ theme, dark }) => {
@@ -434,151 +1045,204 @@ export class Browser {
           },
           { theme: theme || "", dark },
         );
-        this.lastRequestedTheme = theme;
-        this.lastRequestedDarkMode = dark;
+        slot.lastRequestedTheme = theme;
+        slot.lastRequestedDarkMode = dark;
         defaultWait += 500;
       }
 
-      // wait for the work to be done.
-      // Not sure yet how to decide that?
-      if (extraWait === undefined) {
-        extraWait = defaultWait;
+      if (readiness === "detect") {
+        // Wait until the cards are rendered, "wait" comes on top of that
+        await this._waitForRender(page, readinessTimeout, readinessStable, log);
+        if (extraWait) {
+          await new Promise((resolve) => setTimeout(resolve, extraWait));
+        }
+      } else {
+        // wait for the work to be done.
+        // Not sure yet how to decide that?
+        if (extraWait === undefined) {
+          extraWait = defaultWait;
+        }
+        if (extraWait) {
+          await new Promise((resolve) => setTimeout(resolve, extraWait));
+        }
       }
-      if (extraWait) {
-        await new Promise((resolve) => setTimeout(resolve, extraWait));
+
+      slot.headerHeight = await page.evaluate(applyHeaderMode, {
+        selectors: HEADER_SELECTORS,
+        hide: header === "hide",
+      });
+      if (header !== "auto") {
+        slot.headerHeight = 0;
+      }
+      if (slot.headerHeight !== expectedHeader) {
+        log.debug(`[NAV] Header is ${slot.headerHeight}px high, resizing the viewport`);
+        await this._setViewport(page, viewport, slot.headerHeight);
       }
 
       const end = Date.now();
-      logger.info(`[NAV] Navigation complete, took ${end - start}ms`);
+      log.info({ phase: "nav", duration_ms: end - start }, `[NAV] Navigation complete, took ${end - start}ms`);
       return { time: end - start };
     } catch (err) {
       throw err;
     }
   }
 
+  /**
+   * Wait for the dashboard to finish rendering, see waitForRender
+   * A page that doesn't settle in time is captured as it is.
+   */
+  async _waitForRender(page, timeout, stable, log = logger) {
+    const result = await page.evaluate(waitForRender, {
+      stable,
+      timeout,
+      spinners: SPINNER_ELEMENTS,
+    });
+    if (result.ready) {
+      log.debug(`[NAV] Page rendered after ${result.time}ms`);
+    } else {
+      log.warn(`[NAV] Page not ready after ${result.time}ms (${result.pending.join(", ")}), capturing anyway`);
+    }
+    return result;
+  }
+
+  /**
+   * Size the page to the requested viewport plus the header above it
+   */
+  async _setViewport(page, viewport, headerHeight) {
+    const current = page.viewport();
+    const height = viewport.height + headerHeight;
+    if (!current || current.width !== viewport.width || current.height !== height) {
+      await page.setViewport({ width: viewport.width, height });
+    }
+  }
+
   /**
    * Public method that enqueues screenshot
    */
-  async screenshotPage(params) {
-    logger.info(`[QUEUE] Enqueueing screenshot request`);
-    return this.enqueue(() => this._screenshotPage(params));
+  async screenshotPage(params, key = params.pagePath, log = logger) {
+    log.info(`[QUEUE] Enqueueing screenshot request`);
+    return this.enqueue((slot) => this._screenshotPage(params, slot, log), key);
   }
 
   /**
    * Direct screenshot without queueing (for use within already-queued operations)
    */
-  async screenshotPageDirect(params) {
-    return this._screenshotPage(params);
+  async screenshotPageDirect(params, slot, log = logger) {
+    return this._screenshotPage(params, slot, log);
   }
 
-  async _screenshotPage({ viewport, einkColors, invert, zoom, format, rotate }) {
+  async _screenshotPage(params, slot, log = logger) {
     const start = new Date();
-    const headerHeight = Math.round(HEADER_HEIGHT * zoom);
+    const { einkColors, palette, format } = params;
 
-    logger.info(`[SCREENSHOT] Taking screenshot, current lastRequestedPath: ${this.lastRequestedPath}`);
+    log.info(`[SCREENSHOT] Taking screenshot, current lastRequestedPath: ${slot.lastRequestedPath}`);
 
     try {
-      const page = await this.getPage();
-
-      // If eink processing is requested, we need PNG input for sharp.
+      // If eink or palette processing is requested, we need PNG input for sharp.
       // Otherwise, use the requested format.
-      const screenshotType = einkColors || format == "bmp" ? "png" : format;
-
-      let image = await page.screenshot({
-        type: screenshotType,
-        clip: {
-          x: 0,
-          y: headerHeight,
-          width: viewport.width,
-          height: viewport.height - headerHeight,
-        },
-      });
-
-      let sharpInstance = sharp(image);
+      const screenshotType =
+        einkColors || palette || format == "bmp" ? "png" : format;
 
-      if (rotate) {
-        sharpInstance = sharpInstance.rotate(rotate);
-      }
-
-      // Manually handle color conversion for 2 colors
-      if (einkColors === 2) {
-        sharpInstance = sharpInstance.threshold(220, {
-          greyscale: true,
-        });
-        if (invert) {
-          sharpInstance = sharpInstance.negate({
-            alpha: false,
-          });
-        }
-      }
-
-      // If eink processing was requested, output PNG with specified colors
-      if (einkColors) {
-        if (einkColors === 2) {
-          sharpInstance = sharpInstance.toColourspace("b-w");
-        }
-        if (format == "bmp") {
-          sharpInstance = sharpInstance.raw();
-
-          const { data, info } = await sharpInstance.toBuffer({
-            resolveWithObject: true,
-          });
-          let bitsPerPixel = 8;
-          if (einkColors === 2) {
-            bitsPerPixel = 1;
-          } else if (einkColors === 4) {
-            bitsPerPixel = 2;
-          } else if (einkColors === 16) {
-            bitsPerPixel = 4;
-          }
-          const bmpEncoder = new BMPEncoder(
-            info.width,
-            info.height,
-            bitsPerPixel,
-          );
-          image = bmpEncoder.encode(data);
-        } else if (format === "jpeg") {
-          sharpInstance = sharpInstance.jpeg();
-          image = await sharpInstance.toBuffer();
-        } else if (format === "webp") {
-          sharpInstance = sharpInstance.webp();
-          image = await sharpInstance.toBuffer();
-        } else {
-          sharpInstance = sharpInstance.png({
-            colours: einkColors,
-          });
-          image = await sharpInstance.toBuffer();
-        }
-      }
-      // Otherwise, output in the requested format
-      else if (format === "jpeg") {
-        sharpInstance = sharpInstance.jpeg();
-        image = await sharpInstance.toBuffer();
-      } else if (format === "webp") {
-        sharpInstance = sharpInstance.webp();
-        image = await sharpInstance.toBuffer();
-      } else if (format === "bmp") {
-        sharpInstance = sharpInstance.raw();
-        const { data, info } = await sharpInstance.toBuffer({
-          resolveWithObject: true,
-        });
-        const bmpEncoder = new BMPEncoder(info.width, info.height, 24);
-        image = bmpEncoder.encode(data);
-      } else {
-        sharpInstance = sharpInstance.png();
-        image = await sharpInstance.toBuffer();
-      }
+      const capture = await this._capturePage(params, slot, screenshotType, log);
+      const { image, fingerprint } = await processImage(capture, params);
 
       const end = Date.now();
-      logger.info(`[SCREENSHOT] Screenshot complete, took ${end - start}ms`);
+      log.info(
+        { phase: "screenshot", duration_ms: end - start },
+        `[SCREENSHOT] Screenshot complete, took ${end - start}ms`,
+      );
       return {
         image,
+        fingerprint,
         time: end - start,
       };
     } catch (err) {
       // trigger a full page navigation on next request
-      this.lastRequestedPath = undefined;
+      slot.lastRequestedPath = undefined;
       throw err;
     }
   }
+
+  /**
+   * Screenshot the dashboard below the header, or the selected element
+   * @param {object} params - Screenshot parameters
+   * @param {PageSlot} slot
+   * @param {string} type - Image type to capture (png, jpeg or webp)
+   * @returns {Promise<Buffer>}
+   */
+  async _capturePage({
+    viewport,
+    selector,
+    selectorPadding = 0,
+    selectorBackground,
+  }, slot, type, log = logger) {
+    const page = await this.getPage(slot);
+    const headerHeight = slot.headerHeight || 0;
+
+    // Below the header, or around the selected element
+    const area = { left: 0, top: headerHeight, right: viewport.width, bottom: headerHeight + viewport.height };
+    let clip = { x: 0, y: headerHeight, width: viewport.width, height: viewport.height };
+    if (selector) {
+      clip = await this._elementClip(page, selector, {
+        area,
+        // A background fills the padding, otherwise the page around the element shows
+        padding: selectorBackground ? 0 : selectorPadding,
+        pagePath: slot.lastRequestedPath,
+      });
+      log.debug(`[SCREENSHOT] Selector "${selector}" clipped to ${clip.width}x${clip.height} at ${clip.x},${clip.y}`);
+    }
+
+    let image = await page.screenshot({ type, clip });
+
+    if (selector && selectorBackground && selectorPadding > 0) {
+      image = await sharp(image)
+        .extend({
+          top: selectorPadding,
+          bottom: selectorPadding,
+          left: selectorPadding,
+          right: selectorPadding,
+          background: selectorBackground,
+        })
+        .toBuffer();
+    }
+    return image;
+  }
+
+  /**
+   * Screenshot clip of the element matching a selector
+   * @param {Page} page
+   * @param {string} selector - CSS selector, searched through shadow roots
+   * @param {object} options
+   * @param {object} options.area - {left, top, right, bottom} the clip must stay in
+   * @param {number} options.padding - Pixels of the page to include around the element
+   * @param {string} options.pagePath - For the error when nothing matches
+   * @returns {Promise<object>} {x, y, width, height}
+   */
+  async _elementClip(page, selector, { area, padding, pagePath }) {
+    let rect;
+    try {
+      const handle = await page.waitForFunction(findElementRect, {
+        timeout: SELECTOR_TIMEOUT,
+        polling: 100,
+      }, selector);
+      rect = await handle.jsonValue();
+      await handle.dispose();
+    } catch (err) {
+      if (err.name === "TimeoutError") {
+        throw new ElementNotFoundError(selector, pagePath);
+      }
+      throw err;
+    }
+
+    const left = Math.max(area.left, Math.floor(rect.x) - padding);
+    const top = Math.max(area.top, Math.floor(rect.y) - padding);
+    const right = Math.min(area.right, Math.ceil(rect.x + rect.width) + padding);
+    const bottom = Math.min(area.bottom, Math.ceil(rect.y + rect.height) + padding);
+    if (right <= left || bottom <= top) {
+      throw new Error(
+        `Element "${selector}" is outside the viewport, increase the width or height`,
+      );
+    }
+    return { x: left, y: top, width: right - left, height: bottom - top };
+  }
 }
@@ -0,0 +1,168 @@
+import http from "node:http";
+import { logger } from "./logger.js";
+
+// Largest request body we accept (device logs are small)
+const MAX_BODY_SIZE = 1024 * 1024;
+
+/**
+ * Send a JSON response
+ */
+export function sendJson(response, statusCode, body) {
+  const payload = JSON.stringify(body);
+  response.writeHead(statusCode, {
+    "Content-Type": "application/json",
+    "Content-Length": Buffer.byteLength(payload),
+  });
+  response.end(payload);
+}
+
+/**
+ * Read and parse a JSON request body
+ * @returns {Promise<object>} Parsed body, or an empty object if there is none
+ */
+export function readJsonBody(request) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new Error("Request body too large"));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on("end", () => {
+      const body = Buffer.concat(chunks).toString("utf8");
+      if (!body) {
+        resolve({});
+        return;
+      }
+      try {
+        resolve(JSON.parse(body));
+      } catch (err) {
+        reject(new Error(`Invalid JSON body: ${err.message}`));
+      }
+    });
+    request.on("error", reject);
+  });
+}
+
+/**
+ * Log a request that threw and answer it with a 500
+ */
+function failRequest(request, response, err) {
+  // Without the query, which may hold a device key
+  const [path] = request.url.split("?");
+  logger.error(`[API] ${request.method} ${path} failed:`, err.message);
+  logger.debug("Stack trace:", err.stack);
+  if (!response.headersSent) {
+    sendJson(response, 500, { error: err.message });
+  } else {
+    response.end();
+  }
+}
+
+/**
+ * Minimal HTTP server running next to the scheduler
+ * Routes are matched on method and either an exact path or a RegExp,
+ * whose capture groups are passed to the handler.
+ */
+export class ApiServer {
+  constructor(port) {
+    this.port = port;
+    this.routes = [];
+    this.server = undefined;
+  }
+
+  /**
+   * Register a route handler
+   * @param {string} method - HTTP method (GET, POST, ...)
+   * @param {string|RegExp} path - Exact path or pattern to match
+   * @param {Function} handler - async (request, response, { url, params }) => void
+   */
+  route(method, path, handler) {
+    this.routes.push({ method, path, handler });
+    return this;
+  }
+
+  findRoute(method, pathname) {
+    for (const route of this.routes) {
+      if (route.method !== method) {
+        continue;
+      }
+      if (typeof route.path === "string") {
+        if (route.path === pathname) {
+          return { route, params: [] };
+        }
+      } else {
+        const match = route.path.exec(pathname);
+        if (match) {
+          try {
+            return { route, params: match.slice(1).map(decodeURIComponent) };
+          } catch {
+            // Malformed percent-encoding, such as a truncated "%E0%A4%A"
+            return { route, params: undefined };
+          }
+        }
+      }
+    }
+    return undefined;
+  }
+
+  async handleRequest(request, response) {
+    const url = new URL(
+      request.url,
+      // We don't use this, but we need full URL for parsing.
+      "http://localhost",
+    );
+
+    // HEAD is answered by the GET handler, Node drops the body
+    const method = request.method === "HEAD" ? "GET" : request.method;
+    const found = this.findRoute(method, url.pathname);
+    logger.debug(`[API] ${request.method} ${url.pathname}`);
+
+    if (!found) {
+      sendJson(response, 404, { error: "Not found" });
+      return;
+    }
+    if (!found.params) {
+      sendJson(response, 400, { error: "Invalid URL encoding" });
+      return;
+    }
+
+    try {
+      await found.route.handler(request, response, {
+        url,
+        params: found.params,
+      });
+    } catch (err) {
+      failRequest(request, response, err);
+    }
+  }
+
+  start() {
+    this.server = http.createServer((request, response) =>
+      // Anything handleRequest itself throws, e.g. for an unparsable URL
+      this.handleRequest(request, response).catch((err) =>
+        failRequest(request, response, err),
+      ),
+    );
+    // Without a listener, e.g. EADDRINUSE would end the process
+    this.server.on("error", (err) => {
+      logger.error(`[API] Server on port ${this.port} failed:`, err.message);
+    });
+    this.server.listen(this.port);
+    logger.info(`API server listening on port ${this.port}`);
+  }
+
+  async stop() {
+    if (!this.server) {
+      return;
+    }
+    const server = this.server;
+    this.server = undefined;
+    await new Promise((resolve) => server.close(resolve));
+  }
+}
@@ -0,0 +1,54 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { BMPEncoder, greyRamp, greyRampIndices } from "../bmp.js";
+
+// Color table entries as [r, g, b], they are stored as BGR0 after the 54 byte header
+function colorTable(bmp) {
+  const count = bmp.readUInt32LE(46);
+  return Array.from({ length: count }, (_, index) => {
+    const offset = 54 + index * 4;
+    return [bmp[offset + 2], bmp[offset + 1], bmp[offset]];
+  });
+}
+
+test("greyRamp spreads 2^bpp levels from black to white", () => {
+  assert.deepEqual(greyRamp(2), [[0, 0, 0], [85, 85, 85], [170, 170, 170], [255, 255, 255]]);
+  assert.equal(greyRamp(4).length, 16);
+  assert.deepEqual(greyRamp(8)[128], [128, 128, 128]);
+});
+
+test("greyRampIndices maps grey pixels onto the nearest ramp entry", () => {
+  const indices = greyRampIndices(Buffer.from([0, 40, 90, 170, 255]), 2);
+  assert.deepEqual([...indices], [0, 0, 1, 2, 3]);
+});
+
+test("indexed BMPs always write the full ramp, whatever the image holds", () => {
+  const white = Buffer.alloc(4, 3);
+  for (const pixels of [white, Buffer.from([0, 1, 2, 3])]) {
+    const bmp = new BMPEncoder(2, 2, 2, { palette: greyRamp(2) }).encode(pixels);
+    assert.deepEqual(colorTable(bmp), greyRamp(2));
+  }
+});
+
+test("packs 2 bpp indices into padded bottom-up rows", () => {
+  const bmp = new BMPEncoder(3, 2, 2, { palette: greyRamp(2) }).encode(Buffer.from([0, 1, 2, 3, 3, 3]));
+  const offset = bmp.readUInt32LE(10);
+  assert.equal(bmp.readUInt16LE(28), 2);
+  assert.equal(bmp.readInt32LE(22), 2);
+  // Each row is 1 byte of pixels padded to 4, the bottom row comes first
+  assert.deepEqual([...bmp.subarray(offset, offset + 8)], [0b11111100, 0, 0, 0, 0b00011000, 0, 0, 0]);
+});
+
+test("top-down BMPs store a negative height and the first row first", () => {
+  const bmp = new BMPEncoder(8, 2, 1, { topDown: true }).encode(
+    Buffer.from([255, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0]),
+  );
+  const offset = bmp.readUInt32LE(10);
+  assert.equal(bmp.readInt32LE(22), -2);
+  assert.equal(bmp[offset], 0b10000000);
+});
+
+test("rejects palettes larger than the bit depth allows", () => {
+  assert.throws(() => new BMPEncoder(1, 1, 2, { palette: greyRamp(4) }), /at most 4/);
+  assert.throws(() => new BMPEncoder(1, 1, 4), /palette is required/);
+});
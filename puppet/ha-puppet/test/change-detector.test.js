@@ -0,0 +1,55 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import {
+  DEFAULT_CHANGE_THRESHOLD,
+  createFingerprint,
+  fingerprintDifference,
+  imageHash,
+} from "../change-detector.js";
+
+function page(width, height, marks = []) {
+  return sharp({ create: { width, height, channels: 3, background: "#ffffff" } })
+    .composite(
+      marks.map(({ left, top, width: markWidth = 4, height: markHeight = 6, color = "#000000" }) => ({
+        input: { create: { width: markWidth, height: markHeight, channels: 3, background: color } },
+        left,
+        top,
+      })),
+    )
+    .png()
+    .toBuffer();
+}
+
+test("hash only matches identical images", async () => {
+  const a = await page(100, 50);
+  assert.equal(imageHash(a), imageHash(Buffer.from(a)));
+  assert.notEqual(imageHash(a), imageHash(await page(100, 50, [{ left: 10, top: 10 }])));
+});
+
+test("an unchanged page does not differ", async () => {
+  const fingerprint = await createFingerprint(await page(800, 480, [{ left: 100, top: 100 }]));
+  assert.equal(fingerprintDifference(fingerprint, Buffer.from(fingerprint)), 0);
+});
+
+test("a changed block of the page differs", async () => {
+  const before = await createFingerprint(await page(800, 480));
+  const after = await createFingerprint(await page(800, 480, [{ left: 0, top: 0, width: 400, height: 240 }]));
+  assert.ok(Math.abs(fingerprintDifference(before, after) - 25) < 1);
+});
+
+test("a single changed character counts with the default threshold", async () => {
+  const before = await createFingerprint(await page(800, 480, [{ left: 100, top: 100 }]));
+  const after = await createFingerprint(await page(800, 480, [{ left: 100, top: 100 }, { left: 106, top: 100 }]));
+  assert.ok(fingerprintDifference(before, after) > DEFAULT_CHANGE_THRESHOLD);
+});
+
+test("anti-aliasing noise does not count", async () => {
+  const before = await createFingerprint(await page(200, 100, [{ left: 20, top: 20, color: "#f8f8f8" }]));
+  const after = await createFingerprint(await page(200, 100));
+  assert.equal(fingerprintDifference(before, after), 0);
+});
+
+test("fingerprints of different sizes are a full change", () => {
+  assert.equal(fingerprintDifference(Buffer.alloc(10), Buffer.alloc(12)), 100);
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { layoutComposite, composeImage } from "../composite.js";
+
+const canvas = { width: 800, height: 480 };
+
+test("parts fill a grid of columns with gaps between them", () => {
+  const parts = [{ path: "/a" }, { path: "/b" }, { path: "/c" }];
+  assert.deepEqual(layoutComposite({ parts, columns: 2, gap: 10 }, canvas), [
+    { left: 0, top: 0, width: 395, height: 235 },
+    { left: 405, top: 0, width: 395, height: 235 },
+    { left: 0, top: 245, width: 395, height: 235 },
+  ]);
+  // One row by default
+  assert.deepEqual(
+    layoutComposite({ parts: parts.slice(0, 2) }, canvas).map((area) => area.width),
+    [400, 400],
+  );
+});
+
+test("parts at x/y keep their rectangles", () => {
+  const parts = [
+    { path: "/a", x: 0, y: 0, width: 800, height: 80 },
+    { path: "/b", x: 100, y: 80, width: 600, height: 400 },
+  ];
+  assert.deepEqual(layoutComposite({ parts }, canvas), [
+    { left: 0, top: 0, width: 800, height: 80 },
+    { left: 100, top: 80, width: 600, height: 400 },
+  ]);
+});
+
+test("invalid layouts are rejected", () => {
+  assert.throws(() => layoutComposite({ parts: [] }, canvas), /at least one dashboard/);
+  assert.throws(
+    () => layoutComposite({ parts: [{ x: 0, y: 0, width: 10, height: 10 }, {}] }, canvas),
+    /every part or none/,
+  );
+  assert.throws(() => layoutComposite({ parts: [{ x: 0, y: 0 }] }, canvas), /must set "width" and "height"/);
+  assert.throws(() => layoutComposite({ parts: [{ x: 0, width: 10, height: 10 }] }, canvas), /must set both "x" and "y"/);
+  assert.throws(
+    () => layoutComposite({ parts: [{ x: 0, y: NaN, width: 10, height: 10 }] }, canvas),
+    /does not fit/,
+  );
+  assert.throws(
+    () => layoutComposite({ parts: [{ x: 0, y: 0, width: Infinity, height: 10 }] }, canvas),
+    /does not fit/,
+  );
+  assert.throws(
+    () => layoutComposite({ parts: [{ x: 700, y: 0, width: 200, height: 100 }] }, canvas),
+    /does not fit in the 800x480 image/,
+  );
+  assert.throws(() => layoutComposite({ parts: [{ width: 100 }] }, canvas), /only apply with "x" and "y"/);
+  assert.throws(
+    () => layoutComposite({ parts: [{}, {}, {}], columns: 3, gap: 400 }, canvas),
+    /don't fit in the 800x480 image/,
+  );
+});
+
+test("composeImage places and scales the parts on the canvas", async () => {
+  const part = (width, height, color) =>
+    sharp({ create: { width, height, channels: 3, background: color } }).png().toBuffer();
+  const small = { width: 40, height: 20 };
+  const areas = [
+    { left: 0, top: 0, width: 20, height: 20 },
+    { left: 20, top: 0, width: 20, height: 20 },
+  ];
+  const image = await composeImage([await part(20, 20, "#000000"), await part(40, 40, "#ff0000")], areas, small);
+
+  const { data, info } = await sharp(image).raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.width, 40);
+  assert.equal(info.height, 20);
+  const pixel = (x, y) => [...data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3)];
+  assert.deepEqual(pixel(5, 10), [0, 0, 0]);
+  assert.deepEqual(pixel(30, 10), [255, 0, 0]);
+});
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateConfig, coerceListOptions } from "../config-validator.js";
+
+function screenshot(settings = {}) {
+  return { name: "kitchen", path: "/lovelace/0", width: 800, height: 480, interval: 300, ...settings };
+}
+
+test("accepts a minimal configuration", () => {
+  assert.deepEqual(validateConfig({ screenshots: [screenshot()] }), []);
+});
+
+test("names the screenshot and setting in errors", () => {
+  const errors = validateConfig({ screenshots: [screenshot(), screenshot({ name: "hall", eink: 3 })] });
+  assert.equal(errors.length, 1);
+  assert.match(errors[0], /^screenshots\[1\] \("hall"\)\.eink: must be one of/);
+});
+
+test("reports missing and unknown settings", () => {
+  const errors = validateConfig({ screenshots: [{ name: "kitchen", width: 800, height: 480, colour: "red" }] });
+  assert.ok(errors.some((error) => /path/.test(error)), errors.join("\n"));
+  assert.ok(errors.some((error) => /colour/.test(error)), errors.join("\n"));
+});
+
+test("composite parts set x and y together", () => {
+  const composite = (part) => {
+    const { path, ...settings } = screenshot({ composite: { parts: [{ path: "/a", ...part }] } });
+    return validateConfig({ screenshots: [settings] });
+  };
+  assert.deepEqual(composite({ x: 0, y: 0, width: 800, height: 480 }), []);
+  assert.deepEqual(composite({ x: 0, width: 800, height: 480 }), [
+    'screenshots[0] ("kitchen").composite.parts[0]: "x" requires "y"',
+  ]);
+  assert.match(composite({ y: 0 }).join("\n"), /"y" requires "x"/);
+});
+
+test("string list(...) add-on options validate after coercion", () => {
+  const options = {
+    screenshots: [screenshot({ eink: "4", rotate: "90" })],
+    devices: [{ id: "panel", screenshot: "kitchen", rotate: "180" }],
+  };
+  assert.notDeepEqual(validateConfig(structuredClone(options)), []);
+
+  coerceListOptions(options);
+  assert.equal(options.screenshots[0].eink, 4);
+  assert.equal(options.screenshots[0].rotate, 90);
+  assert.equal(options.devices[0].rotate, 180);
+  assert.deepEqual(validateConfig(options), []);
+});
+
+test("coercion leaves other values for the validator to report", () => {
+  const options = coerceListOptions({ screenshots: [screenshot({ eink: "many", format: "png" })] });
+  assert.equal(options.screenshots[0].eink, "many");
+  assert.equal(options.screenshots[0].format, "png");
+  assert.equal(validateConfig(options).length, 1);
+  assert.deepEqual(coerceListOptions({}), {});
+});
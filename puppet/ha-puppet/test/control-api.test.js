@@ -0,0 +1,96 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ControlApi } from "../control-api.js";
+
+function fakeScheduler(config = {}) {
+  const paused = new Set();
+  return {
+    config,
+    paused,
+    capturing: new Map(),
+    jobStatus: new Map(),
+    jobs: new Map([["kitchen", { config: { name: "kitchen", interval: 300 } }]]),
+    nextRun: () => null,
+    currentInterval: (jobConfig) => jobConfig.interval,
+    pauseJob: (name) => name === "kitchen" && Boolean(paused.add(name)),
+    resumeJob: (name) => name === "kitchen" && paused.delete(name),
+    captureNow: async () => ({ success: true, status: "saved" }),
+  };
+}
+
+// Registers the API on a stand-in server and calls a route like the ApiServer would
+async function call(api, method, path, headers = {}) {
+  const routes = [];
+  api.register({
+    route(routeMethod, routePath, handler) {
+      routes.push({ routeMethod, routePath, handler });
+      return this;
+    },
+  });
+  const response = {
+    headers: {},
+    setHeader(name, value) {
+      this.headers[name] = value;
+    },
+    writeHead(status) {
+      this.status = status;
+    },
+    end(body) {
+      this.body = body && JSON.parse(body);
+    },
+  };
+  for (const { routeMethod, routePath, handler } of routes) {
+    const match = typeof routePath === "string" ? path === routePath && [path] : routePath.exec(path);
+    if (routeMethod === method && match) {
+      await handler({ headers }, response, { params: match.slice(1) });
+      return response;
+    }
+  }
+  throw new Error(`No route for ${method} ${path}`);
+}
+
+const bearer = (token) => ({ authorization: `Bearer ${token}` });
+
+test("rejects requests without the right bearer token", async () => {
+  const api = new ControlApi(fakeScheduler(), "hass-token");
+  for (const headers of [{}, { authorization: "hass-token" }, bearer("wrong"), bearer("hass-token-longer"), bearer("")]) {
+    const response = await call(api, "GET", "/jobs", headers);
+    assert.equal(response.status, 401, JSON.stringify(headers));
+    assert.equal(response.headers["WWW-Authenticate"], "Bearer");
+  }
+});
+
+test("pause and capture also need the token", async () => {
+  const scheduler = fakeScheduler();
+  const api = new ControlApi(scheduler, "hass-token");
+  assert.equal((await call(api, "POST", "/jobs/kitchen/pause")).status, 401);
+  assert.equal(scheduler.paused.size, 0);
+  assert.equal((await call(api, "POST", "/jobs/kitchen/capture", bearer("wrong"))).status, 401);
+});
+
+test("accepts the access token, or control_token when it is set", async () => {
+  const scheduler = fakeScheduler();
+  const api = new ControlApi(scheduler, "hass-token");
+  const list = await call(api, "GET", "/jobs", bearer("hass-token"));
+  assert.equal(list.status, 200);
+  assert.deepEqual(list.body.jobs.map((job) => job.name), ["kitchen"]);
+
+  // Read on every request, so a reload applies right away
+  scheduler.config.control_token = "control";
+  assert.equal((await call(api, "GET", "/jobs", bearer("hass-token"))).status, 401);
+  assert.equal((await call(api, "GET", "/jobs", { authorization: "bearer control" })).status, 200);
+});
+
+test("capture, pause and resume a job", async () => {
+  const scheduler = fakeScheduler();
+  const api = new ControlApi(scheduler, "hass-token");
+  const capture = await call(api, "POST", "/jobs/kitchen/capture", bearer("hass-token"));
+  assert.deepEqual([capture.status, capture.body.status], [200, "saved"]);
+
+  const pause = await call(api, "POST", "/jobs/kitchen/pause", bearer("hass-token"));
+  assert.deepEqual([pause.status, pause.body.paused], [200, true]);
+  const resume = await call(api, "POST", "/jobs/kitchen/resume", bearer("hass-token"));
+  assert.deepEqual([resume.status, resume.body.paused], [200, false]);
+
+  assert.equal((await call(api, "POST", "/jobs/garage/capture", bearer("hass-token"))).status, 404);
+});
@@ -0,0 +1,113 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { CronExpression } from "../cron.js";
+
+const TIMEZONE = "Europe/Amsterdam";
+
+// Next fire times as local "YYYY-MM-DD HH:MM" strings
+function fireTimes(expression, after, count = 3, timezone = TIMEZONE) {
+  return new CronExpression(expression, timezone)
+    .nextTimes(count, new Date(after))
+    .map((date) => date.toLocaleString("sv-SE", { timeZone: timezone }).slice(0, 16));
+}
+
+test("steps, ranges and weekday names", () => {
+  assert.deepEqual(fireTimes("*/20 6-7 * * mon-fri", "2026-10-16T12:00:00Z", 4), [
+    "2026-10-19 06:00",
+    "2026-10-19 06:20",
+    "2026-10-19 06:40",
+    "2026-10-19 07:00",
+  ]);
+});
+
+test("day of month or day of week when both are restricted", () => {
+  assert.deepEqual(fireTimes("0 12 1 * sun", "2026-10-29T00:00:00Z"), [
+    "2026-11-01 12:00",
+    "2026-11-08 12:00",
+    "2026-11-15 12:00",
+  ]);
+});
+
+test("macros and the timezone of the expression", () => {
+  assert.deepEqual(fireTimes("@daily", "2026-10-19T08:00:00Z", 1), ["2026-10-20 00:00"]);
+  const [next] = new CronExpression("0 9 * * *", "America/New_York").nextTimes(1, new Date("2026-10-19T00:00:00Z"));
+  assert.equal(next.toISOString(), "2026-10-19T13:00:00.000Z");
+});
+
+test("a fixed time in the spring-forward gap fires right after it", () => {
+  assert.deepEqual(fireTimes("30 2 * * *", "2026-03-28T12:00:00Z"), [
+    "2026-03-29 03:00",
+    "2026-03-30 02:30",
+    "2026-03-31 02:30",
+  ]);
+});
+
+test("the first time after the gap fires once", () => {
+  assert.deepEqual(fireTimes("0 3 * * *", "2026-03-28T12:00:00Z", 2), [
+    "2026-03-29 03:00",
+    "2026-03-30 03:00",
+  ]);
+});
+
+test("wildcard hours carry on after the gap", () => {
+  assert.deepEqual(fireTimes("30 * * * *", "2026-03-29T00:00:00Z"), [
+    "2026-03-29 01:30",
+    "2026-03-29 03:30",
+    "2026-03-29 04:30",
+  ]);
+});
+
+test("a gap at midnight", () => {
+  // Chile moves from 00:00 to 01:00
+  assert.deepEqual(fireTimes("30 0 * * *", "2026-09-05T12:00:00Z", 2, "America/Santiago"), [
+    "2026-09-06 01:00",
+    "2026-09-07 00:30",
+  ]);
+});
+
+test("a fixed time repeated when the clocks go back fires once", () => {
+  const times = new CronExpression("30 2 * * *", TIMEZONE).nextTimes(2, new Date("2026-10-24T12:00:00Z"));
+  assert.deepEqual(times.map((date) => date.toISOString()), [
+    "2026-10-25T00:30:00.000Z",
+    "2026-10-26T01:30:00.000Z",
+  ]);
+});
+
+test("wildcard minutes and hours fire in both repeated hours when the clocks go back", () => {
+  const times = (expression) =>
+    new CronExpression(expression, TIMEZONE)
+      .nextTimes(4, new Date("2026-10-25T00:10:00Z"))
+      .map((date) => date.toISOString());
+  assert.deepEqual(times("*/30 * * * *"), [
+    "2026-10-25T00:30:00.000Z",
+    "2026-10-25T01:00:00.000Z",
+    "2026-10-25T01:30:00.000Z",
+    "2026-10-25T02:00:00.000Z",
+  ]);
+  assert.deepEqual(times("30 * * * *"), [
+    "2026-10-25T00:30:00.000Z",
+    "2026-10-25T01:30:00.000Z",
+    "2026-10-25T02:30:00.000Z",
+    "2026-10-25T03:30:00.000Z",
+  ]);
+});
+
+test("rare days skip ahead to the months that have them", () => {
+  assert.deepEqual(fireTimes("0 0 29 2 *", "2026-10-19T00:00:00Z"), [
+    "2028-02-29 00:00",
+    "2032-02-29 00:00",
+    "2036-02-29 00:00",
+  ]);
+  assert.deepEqual(fireTimes("0 9 31 * *", "2026-10-19T00:00:00Z", 2), ["2026-10-31 09:00", "2026-12-31 09:00"]);
+  // Either day field may match when both are restricted
+  assert.deepEqual(fireTimes("0 0 30 2 mon", "2026-10-19T00:00:00Z", 1), ["2027-02-01 00:00"]);
+});
+
+test("invalid expressions", () => {
+  assert.throws(() => new CronExpression("* * *"), /expected 5 fields/);
+  assert.throws(() => new CronExpression("61 * * * *"), /out of range/);
+  assert.throws(() => new CronExpression("*/0 * * * *"), /invalid minute step/);
+  assert.throws(() => new CronExpression("* * * * *", "Mars/Base"), /Invalid timezone/);
+  assert.throws(() => new CronExpression("0 0 30 2 *"), /day of month 30 never occurs in month 2/);
+  assert.throws(() => new CronExpression("0 0 31 4,6 *"), /never occurs/);
+});
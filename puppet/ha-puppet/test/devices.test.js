@@ -0,0 +1,78 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { DeviceRegistry } from "../devices.js";
+
+const SCREENSHOTS = [
+  { name: "kitchen", path: "/lovelace/0", width: 800, height: 480, interval: 300 },
+  { name: "hall", path: "/lovelace/1", width: 800, height: 480, interval: 60, rotate: 90 },
+];
+
+test("devices without overrides show the configured job", () => {
+  const registry = new DeviceRegistry([{ id: "panel", screenshot: "kitchen" }], SCREENSHOTS);
+  assert.deepEqual(registry.find({ id: "panel" }).playlist, ["kitchen"]);
+  assert.deepEqual(registry.variantJobs(), []);
+});
+
+test("overrides create variants named after them, shared between devices", () => {
+  const registry = new DeviceRegistry(
+    [
+      { id: "a", screenshot: "kitchen", rotate: 90 },
+      { id: "b", screenshot: "kitchen", rotate: "90" },
+      { id: "c", screenshot: "kitchen", rotate: 180, invert: true },
+      { id: "d", screenshot: "hall", rotate: 0 },
+    ],
+    SCREENSHOTS,
+  );
+  assert.deepEqual(registry.find({ id: "a" }).playlist, ["kitchen--rotate90"]);
+  assert.deepEqual(registry.find({ id: "b" }).playlist, ["kitchen--rotate90"]);
+  assert.deepEqual(registry.find({ id: "c" }).playlist, ["kitchen--rotate180-inverted"]);
+  assert.deepEqual(registry.find({ id: "d" }).playlist, ["hall--original"]);
+  assert.deepEqual(
+    registry.variantJobs().map(({ name, rotate, invert }) => [name, rotate, invert]),
+    [
+      ["kitchen--rotate90", 90, false],
+      ["kitchen--rotate180-inverted", 180, true],
+      ["hall--original", undefined, false],
+    ],
+  );
+});
+
+test("variants leave history and timelapses to the configured job", () => {
+  const screenshots = [{ ...SCREENSHOTS[0], history: { max_files: 10 }, timelapse: { hours: 6 } }];
+  const registry = new DeviceRegistry([{ id: "a", screenshot: "kitchen", invert: true }], screenshots);
+  const [variant] = registry.variantJobs();
+  assert.equal(variant.name, "kitchen--inverted");
+  assert.equal(variant.history, undefined);
+  assert.equal(variant.timelapse, undefined);
+});
+
+test("finds devices by MAC address and API key", () => {
+  const registry = new DeviceRegistry(
+    [{ id: "panel", mac: "aa-bb-cc-dd-ee-ff", api_key: "secret", screenshot: "kitchen" }],
+    SCREENSHOTS,
+  );
+  assert.equal(registry.find({ mac: "AA:BB:CC:DD:EE:FF" }).id, "panel");
+  assert.equal(registry.find({ apiKey: "secret" }).id, "panel");
+  assert.equal(registry.find({ apiKey: "other" }), undefined);
+});
+
+test("playlists advance every playlist_interval", () => {
+  const registry = new DeviceRegistry(
+    [{ id: "panel", playlist: ["kitchen", "hall"], playlist_interval: 60 }],
+    SCREENSHOTS,
+  );
+  const device = registry.find({ id: "panel" });
+  assert.equal(registry.currentJobName(device, new Date(0)), "kitchen");
+  assert.equal(registry.currentJobName(device, new Date(60_000)), "hall");
+  assert.equal(registry.currentJobName(device, new Date(120_000)), "kitchen");
+});
+
+test("invalid devices", () => {
+  assert.throws(() => new DeviceRegistry([{ id: "a" }], SCREENSHOTS), /needs a "screenshot"/);
+  assert.throws(() => new DeviceRegistry([{ id: "a", screenshot: "garage" }], SCREENSHOTS), /unknown screenshot "garage"/);
+  assert.throws(() => new DeviceRegistry([{ id: "a", screenshot: "hall", rotate: 45 }], SCREENSHOTS), /invalid "rotate"/);
+  assert.throws(
+    () => new DeviceRegistry([{ id: "a", screenshot: "hall" }, { id: "a", screenshot: "hall" }], SCREENSHOTS),
+    /more than once/,
+  );
+});
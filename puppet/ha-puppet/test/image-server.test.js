@@ -0,0 +1,105 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync, statSync, writeFileSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { ImageServer } from "../image-server.js";
+
+const file = join(mkdtempSync(join(tmpdir(), "image-server-")), "latest.png");
+writeFileSync(file, "first image");
+
+const scheduler = {
+  jobs: new Map([["kitchen", { config: { name: "kitchen", format: "png", interval: 300 } }]]),
+  currentInterval: (config) => config.interval,
+};
+const fileManager = {
+  getLatestFile: () => {
+    const stats = statSync(file);
+    return { path: file, mtime: stats.mtime, size: stats.size };
+  },
+  getContentType: () => "image/png",
+};
+const devices = { find: ({ id }) => (id === "panel" ? { id, apiKey: "secret" } : undefined) };
+
+// Collects what a handler writes to the response
+async function request(handler, headers = {}) {
+  const response = {
+    writeHead(status, responseHeaders) {
+      Object.assign(this, { status, headers: responseHeaders });
+    },
+    end(body) {
+      this.body = body;
+    },
+  };
+  await handler({ headers }, response);
+  return response;
+}
+
+test("serves the image with an ETag and Last-Modified", async () => {
+  const server = new ImageServer(scheduler, fileManager, devices);
+  const response = await request((req, res) => server.handleJobImage(req, res, "kitchen"));
+  assert.equal(response.status, 200);
+  assert.equal(String(response.body), "first image");
+  assert.match(response.headers.ETag, /^"[0-9a-f]{32}"$/);
+  assert.equal(response.headers["Cache-Control"], "max-age=300");
+  assert.ok(response.headers["Last-Modified"]);
+});
+
+test("answers 304 when the client has the image", async () => {
+  const server = new ImageServer(scheduler, fileManager, devices);
+  const first = await request((req, res) => server.handleJobImage(req, res, "kitchen"));
+  const { ETag: etag, "Last-Modified": lastModified } = first.headers;
+
+  const byEtag = await request((req, res) => server.handleJobImage(req, res, "kitchen"), {
+    "if-none-match": `W/"other", ${etag}`,
+  });
+  assert.equal(byEtag.status, 304);
+  assert.equal(byEtag.body, undefined);
+  assert.equal(byEtag.headers.ETag, etag);
+
+  const byDate = await request((req, res) => server.handleJobImage(req, res, "kitchen"), {
+    "if-modified-since": lastModified,
+  });
+  assert.equal(byDate.status, 304);
+
+  // If-None-Match wins over If-Modified-Since
+  const stale = await request((req, res) => server.handleJobImage(req, res, "kitchen"), {
+    "if-none-match": '"other"',
+    "if-modified-since": lastModified,
+  });
+  assert.equal(stale.status, 200);
+});
+
+test("an unchanged file keeps its ETag without being read again", async () => {
+  const server = new ImageServer(scheduler, fileManager, devices);
+  const first = server.imageEtag(fileManager.getLatestFile());
+  assert.equal(String(first.image), "first image");
+
+  const again = server.imageEtag(fileManager.getLatestFile());
+  assert.equal(again.etag, first.etag);
+  assert.equal(again.image, undefined);
+});
+
+test("a changed image gets a new ETag", async () => {
+  const server = new ImageServer(scheduler, fileManager, devices);
+  const first = await request((req, res) => server.handleJobImage(req, res, "kitchen"));
+  writeFileSync(file, "second image, longer");
+  const second = await request((req, res) => server.handleJobImage(req, res, "kitchen"), {
+    "if-none-match": first.headers.ETag,
+  });
+  assert.equal(second.status, 200);
+  assert.notEqual(second.headers.ETag, first.headers.ETag);
+  assert.equal(String(second.body), "second image, longer");
+});
+
+test("unknown jobs and devices, and a wrong device key", async () => {
+  const server = new ImageServer(scheduler, fileManager, devices);
+  const unknownJob = await request((req, res) => server.handleJobImage(req, res, "garage"));
+  assert.equal(unknownJob.status, 404);
+
+  const url = new URL("http://localhost/devices/panel/image?key=wrong");
+  const wrongKey = await request((req, res) => server.handleDeviceImage(req, res, url, "panel"));
+  assert.equal(wrongKey.status, 401);
+  const unknownDevice = await request((req, res) => server.handleDeviceImage(req, res, url, "other"));
+  assert.equal(unknownDevice.status, 404);
+});
@@ -0,0 +1,99 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { Metrics } from "../metrics.js";
+
+function fakeScheduler(names, config = {}) {
+  return {
+    config,
+    paused: new Set(),
+    jobs: new Map(names.map((name) => [name, { config: { name } }])),
+  };
+}
+
+const fakeBrowser = () => ({ queue: [], restarts: 0, launchError: null });
+
+function fakeResponse() {
+  return {
+    writeHead(status, headers) {
+      this.status = status;
+      this.headers = headers;
+    },
+    end(body) {
+      this.body = body;
+    },
+  };
+}
+
+test("render counts captures by job and status in the Prometheus text format", () => {
+  const scheduler = fakeScheduler(["kitchen", "hall"]);
+  const browser = fakeBrowser();
+  const metrics = new Metrics(scheduler, browser);
+  const time = new Date("2026-01-01T00:00:00Z");
+  metrics.record("kitchen", { status: "saved", time, success: true, timings: { navigation: 300, screenshot: 2000 } });
+  metrics.record("kitchen", { status: "saved", time, success: true });
+  metrics.record("hall", { status: "failed", time, success: false });
+  scheduler.paused.add("hall");
+  browser.queue.push({}, {});
+  browser.restarts = 1;
+
+  const lines = metrics.render().split("\n");
+  assert.ok(lines.includes("# TYPE puppet_captures_total counter"));
+  assert.ok(lines.includes('puppet_captures_total{job="kitchen",status="saved"} 2'));
+  assert.ok(lines.includes('puppet_captures_total{job="hall",status="failed"} 1'));
+  assert.ok(lines.includes('puppet_navigation_duration_seconds_bucket{job="kitchen",le="0.25"} 0'));
+  assert.ok(lines.includes('puppet_navigation_duration_seconds_bucket{job="kitchen",le="0.5"} 1'));
+  assert.ok(lines.includes('puppet_navigation_duration_seconds_bucket{job="kitchen",le="+Inf"} 1'));
+  assert.ok(lines.includes('puppet_screenshot_duration_seconds_sum{job="kitchen"} 2'));
+  assert.ok(lines.includes('puppet_screenshot_duration_seconds_count{job="kitchen"} 1'));
+  assert.ok(lines.includes('puppet_last_success_timestamp_seconds{job="kitchen"} 1767225600'));
+  assert.ok(lines.includes('puppet_job_paused{job="kitchen"} 0'));
+  assert.ok(lines.includes('puppet_job_paused{job="hall"} 1'));
+  assert.ok(lines.includes("puppet_browser_queue_length 2"));
+  assert.ok(lines.includes("puppet_browser_restarts_total 1"));
+  assert.ok(lines.some((line) => /^process_resident_memory_bytes \d+$/.test(line)));
+});
+
+test("render escapes label values", () => {
+  const metrics = new Metrics(fakeScheduler([]), fakeBrowser());
+  metrics.record('a"b\\c', { status: "saved", time: new Date(), success: true });
+  assert.match(metrics.render(), /puppet_captures_total\{job="a\\"b\\\\c",status="saved"\} 1/);
+});
+
+test("healthz turns unhealthy once every job fails for longer than the threshold", () => {
+  const scheduler = fakeScheduler(["kitchen", "hall"], { health_failure_threshold: 60 });
+  const metrics = new Metrics(scheduler, fakeBrowser());
+  const start = new Date("2026-01-01T00:00:00Z");
+  const later = start.getTime() + 61_000;
+  metrics.record("kitchen", { status: "failed", time: start, success: false });
+  assert.deepEqual(metrics.healthProblems(later), []);
+
+  metrics.record("hall", { status: "failed", time: start, success: false });
+  assert.deepEqual(metrics.healthProblems(start.getTime() + 30_000), []);
+  assert.deepEqual(metrics.healthProblems(later), ["Every job has been failing for more than 60s"]);
+
+  metrics.record("hall", { status: "saved", time: new Date(later), success: true });
+  assert.deepEqual(metrics.healthProblems(later), []);
+});
+
+test("healthz answers 503 when the browser failed to launch", () => {
+  const browser = fakeBrowser();
+  const metrics = new Metrics(fakeScheduler(["kitchen"]), browser);
+  const response = fakeResponse();
+  metrics.handleHealth(response);
+  assert.equal(response.status, 200);
+  assert.equal(JSON.parse(response.body).status, "ok");
+
+  browser.launchError = new Error("no chrome");
+  metrics.handleHealth(response);
+  assert.equal(response.status, 503);
+  assert.deepEqual(JSON.parse(response.body).problems, ["Browser failed to launch: no chrome"]);
+});
+
+test("metrics are served as Prometheus text", () => {
+  const metrics = new Metrics(fakeScheduler(["kitchen"]), fakeBrowser());
+  const response = fakeResponse();
+  metrics.handleMetrics(response);
+  assert.equal(response.status, 200);
+  assert.equal(response.headers["Content-Type"], "text/plain; version=0.0.4; charset=utf-8");
+  assert.equal(response.headers["Content-Length"], Buffer.byteLength(response.body));
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { PNGEncoder } from "../png.js";
+
+const PALETTE = [[0, 0, 0], [255, 255, 255], [255, 0, 0]];
+
+test("keeps the palette colors and their order", async () => {
+  const png = new PNGEncoder(3, 1, PALETTE, 2).encode(Buffer.from([2, 1, 0]));
+  const { data, info } = await sharp(png).raw().toBuffer({ resolveWithObject: true });
+  assert.equal(info.width, 3);
+  const pixels = [];
+  for (let i = 0; i < data.length; i += info.channels) {
+    pixels.push([data[i], data[i + 1], data[i + 2]]);
+  }
+  assert.deepEqual(pixels, [PALETTE[2], PALETTE[1], PALETTE[0]]);
+
+  // PLTE follows the 8 byte signature and the 25 byte IHDR chunk
+  const plteLength = png.readUInt32BE(33);
+  assert.equal(png.toString("ascii", 37, 41), "PLTE");
+  assert.deepEqual([...png.subarray(41, 41 + plteLength)], PALETTE.flat());
+});
+
+test("writes the requested bit depth", () => {
+  const png = new PNGEncoder(9, 1, PALETTE, 2).encode(Buffer.alloc(9, 1));
+  assert.equal(png[24], 2);
+});
+
+test("rejects palettes larger than the bit depth allows", () => {
+  assert.throws(() => new PNGEncoder(1, 1, PALETTE, 1), /at most 2/);
+  assert.throws(() => new PNGEncoder(1, 1, PALETTE, 3), /Unsupported bit depth/);
+});
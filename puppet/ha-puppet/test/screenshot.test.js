@@ -0,0 +1,16 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { ConnectionClosedError, ProtocolError, TargetCloseError, TimeoutError } from "puppeteer";
+import { isBrowserError } from "../screenshot.js";
+import { CannotOpenPageError, ElementNotFoundError } from "../error.js";
+
+test("only browser and protocol failures count as browser errors", () => {
+  assert.ok(isBrowserError(new TargetCloseError("Target closed")));
+  assert.ok(isBrowserError(new ConnectionClosedError("Connection closed")));
+  assert.ok(isBrowserError(new ProtocolError("Page.captureScreenshot failed")));
+
+  assert.ok(!isBrowserError(new CannotOpenPageError(404, "/lovelace/missing")));
+  assert.ok(!isBrowserError(new ElementNotFoundError("hui-card", "/lovelace/0")));
+  assert.ok(!isBrowserError(new TimeoutError("Navigation timeout")));
+  assert.ok(!isBrowserError(new TypeError("Invalid URL")));
+});
@@ -0,0 +1,69 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { ApiServer } from "../server.js";
+import { configureLogger } from "../logger.js";
+
+// Keep "listening" lines out of the test output, the tests mute the errors they expect
+configureLogger({ level: "error" });
+const mute = () => {};
+
+// Starts a server on a free port with a route for /images/<name>
+async function startServer() {
+  const server = new ApiServer(0);
+  server.route("GET", /^\/images\/([^/]+)$/, (request, response, { params }) => {
+    response.writeHead(200);
+    response.end(params[0]);
+  });
+  server.start();
+  await once(server.server, "listening");
+  return server;
+}
+
+async function get(server, path) {
+  const response = await fetch(`http://localhost:${server.server.address().port}${path}`);
+  return { status: response.status, body: await response.text() };
+}
+
+test("route parameters are decoded, malformed ones answer 400", async () => {
+  const server = await startServer();
+  try {
+    assert.deepEqual(await get(server, "/images/k%C3%BCche"), { status: 200, body: "küche" });
+    const malformed = await get(server, "/images/%E0%A4%A");
+    assert.equal(malformed.status, 400);
+    assert.deepEqual(JSON.parse(malformed.body), { error: "Invalid URL encoding" });
+  } finally {
+    await server.stop();
+  }
+});
+
+test("requests that fail before routing answer 500", async (t) => {
+  t.mock.method(console, "error", mute);
+  const server = new ApiServer(0);
+  server.handleRequest = async () => {
+    throw new Error("broken");
+  };
+  server.start();
+  await once(server.server, "listening");
+  try {
+    const response = await get(server, "/anything");
+    assert.equal(response.status, 500);
+    // The server keeps answering
+    assert.equal((await get(server, "/other")).status, 500);
+  } finally {
+    await server.stop();
+  }
+});
+
+test("a port in use is logged instead of ending the process", async (t) => {
+  const errors = t.mock.method(console, "error", mute);
+  const first = await startServer();
+  const second = new ApiServer(first.server.address().port);
+  try {
+    second.start();
+    await once(second.server, "error");
+    assert.ok(errors.mock.calls.some((call) => call.arguments.join(" ").includes("EADDRINUSE")));
+  } finally {
+    await first.stop();
+  }
+});
@@ -0,0 +1,50 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { TimeWindows } from "../time-windows.js";
+
+const TIMEZONE = "Europe/Amsterdam";
+
+test("matches same-day windows with a day filter", () => {
+  const windows = new TimeWindows({ start: "09:00", end: "17:00", days: "mon-fri" }, "active_hours", TIMEZONE);
+  // Monday and Saturday, 10:00 local
+  assert.equal(windows.match(new Date("2026-10-19T08:00:00Z")), "09:00-17:00 mon-fri");
+  assert.equal(windows.match(new Date("2026-10-24T08:00:00Z")), null);
+  // The end is exclusive
+  assert.equal(windows.match(new Date("2026-10-19T15:00:00Z")), null);
+});
+
+test("windows across midnight use the day they start", () => {
+  const windows = new TimeWindows({ start: "22:00", end: "06:00", days: "fri" }, "off_hours", TIMEZONE);
+  // Friday 23:00 and Saturday 03:00 belong to Friday's window, Friday 03:00 does not
+  assert.ok(windows.match(new Date("2026-10-23T21:00:00Z")));
+  assert.ok(windows.match(new Date("2026-10-24T01:00:00Z")));
+  assert.equal(windows.match(new Date("2026-10-23T01:00:00Z")), null);
+});
+
+test("day ranges wrap around the week", () => {
+  const windows = new TimeWindows({ start: "00:00", end: "23:59", days: "sat-mon" }, "active_hours", TIMEZONE);
+  assert.ok(windows.match(new Date("2026-10-18T10:00:00Z")));
+  assert.ok(windows.match(new Date("2026-10-19T10:00:00Z")));
+  assert.equal(windows.match(new Date("2026-10-20T10:00:00Z")), null);
+});
+
+test("nextChange finds the first minute in another window", () => {
+  const windows = new TimeWindows(
+    [{ start: "06:00", end: "09:00" }, { start: "09:00", end: "18:00" }],
+    "interval_windows",
+    TIMEZONE,
+  );
+  const change = windows.nextChange(new Date("2026-10-19T05:30:00Z"), new Date("2026-10-20T00:00:00Z"));
+  assert.equal(change.toISOString(), "2026-10-19T07:00:00.000Z");
+  assert.equal(windows.nextChange(new Date("2026-10-19T05:30:00Z"), new Date("2026-10-19T06:00:00Z")), null);
+});
+
+test("invalid windows", () => {
+  assert.throws(() => new TimeWindows({ start: "9:00" }, "active_hours"), /both "start" and "end"/);
+  assert.throws(() => new TimeWindows({ start: "25:00", end: "06:00" }, "off_hours"), /HH:MM/);
+  assert.throws(() => new TimeWindows({ start: "01:00", end: "02:00", days: "funday" }, "off_hours"), /Invalid days/);
+  assert.throws(
+    () => new TimeWindows([{ start: "01:00", end: "02:00" }, { start: "00:00", end: "0:00" }], "off_hours"),
+    /off_hours\[1\] start and end must differ \(got 00:00-0:00\)/,
+  );
+});
@@ -0,0 +1,76 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { mkdtempSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import sharp from "sharp";
+import { createTimelapse, resolveTimelapseOptions, selectFrames } from "../timelapse.js";
+
+const NOW = Date.parse("2026-10-19T12:00:00Z");
+
+// History entries, newest first like FileManager.listHistory()
+function history(count, stepMinutes) {
+  return Array.from({ length: count }, (_, index) => ({
+    path: `frame-${index}.png`,
+    time: new Date(NOW - index * stepMinutes * 60_000),
+  }));
+}
+
+async function writeFrames(count, width, height) {
+  const dir = mkdtempSync(join(tmpdir(), "timelapse-"));
+  const frames = [];
+  for (let index = 0; index < count; index++) {
+    const path = join(dir, `frame-${index}.png`);
+    await sharp({ create: { width, height, channels: 3, background: { r: index * 40, g: 0, b: 0 } } })
+      .png()
+      .toFile(path);
+    frames.push({ path });
+  }
+  return frames;
+}
+
+test("options fall back to the defaults and validate", () => {
+  const options = resolveTimelapseOptions({ hours: 6 }, { format: "gif", width: "300.4" });
+  assert.deepEqual(options, { hours: 6, frame_step: 0, width: 300, frame_delay: 200, format: "gif" });
+  assert.throws(() => resolveTimelapseOptions({ width: 4000 }), /"width"/);
+  assert.throws(() => resolveTimelapseOptions({}, { format: "mp4" }), /"format"/);
+});
+
+test("selects frames in the time range, oldest first and frame_step apart", () => {
+  const frames = selectFrames(history(10, 10), { hours: 1, frame_step: 20 }, NOW);
+  assert.deepEqual(frames.map((frame) => frame.path), ["frame-6.png", "frame-4.png", "frame-2.png", "frame-0.png"]);
+});
+
+test("long ranges are sampled down to 240 frames, keeping both ends", () => {
+  const frames = selectFrames(history(1000, 1), { hours: 24, frame_step: 0 }, NOW);
+  assert.equal(frames.length, 240);
+  assert.equal(frames[0].path, "frame-999.png");
+  assert.equal(frames.at(-1).path, "frame-0.png");
+});
+
+test("renders one animation page per readable frame", async () => {
+  const frames = await writeFrames(3, 80, 40);
+  frames.splice(1, 0, { path: join(tmpdir(), "missing-frame.png") });
+  const image = await createTimelapse(frames, { width: 40, frame_delay: 100, format: "gif" });
+  const metadata = await sharp(image, { pages: -1 }).metadata();
+  assert.equal(metadata.format, "gif");
+  assert.equal(metadata.pages, 3);
+  assert.equal(metadata.width, 40);
+  assert.equal(metadata.pageHeight, 20);
+});
+
+test("fails without readable frames", async () => {
+  await assert.rejects(
+    createTimelapse([{ path: join(tmpdir(), "missing-frame.png") }], { width: 40, frame_delay: 100, format: "webp" }),
+    /No readable history frames/,
+  );
+});
+
+test("large frames are sampled down to fit the memory budget", async () => {
+  // 2000x4000 RGBA frames take 32 MiB each, 4 fit in 128 MiB
+  const frames = await writeFrames(6, 20, 40);
+  const image = await createTimelapse(frames, { width: 2000, frame_delay: 100, format: "gif" });
+  const metadata = await sharp(image, { pages: -1 }).metadata();
+  assert.equal(metadata.pages, 4);
+  assert.equal(metadata.pageHeight, 4000);
+});
@@ -0,0 +1,88 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isPublishedEntity } from "../ha-entities.js";
+import { EntityTriggers, globToRegExp } from "../triggers.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Records the captures the triggers queue
+function fakeScheduler(screenshots) {
+  const captures = [];
+  return {
+    captures,
+    jobs: new Map(screenshots.map((config) => [config.name, { config }])),
+    queueCapture: (config, reason) => captures.push([config.name, reason]),
+  };
+}
+
+test("globs match whole entity IDs", () => {
+  const pattern = globToRegExp("binary_sensor.door_*");
+  assert.ok(pattern.test("binary_sensor.door_front"));
+  assert.ok(!pattern.test("binary_sensor.doors"));
+  assert.ok(!pattern.test("xbinary_sensor.door_front"));
+  assert.ok(globToRegExp("light.hall_?").test("light.hall_1"));
+  assert.ok(!globToRegExp("light.hall_?").test("light.hall_12"));
+});
+
+test("changes in one debounce window queue a single capture", async () => {
+  const screenshots = [
+    { name: "hall", trigger_entities: ["binary_sensor.door_*"], trigger_debounce: 0.02 },
+    { name: "kitchen", trigger_entities: ["light.kitchen"], trigger_debounce: 0.02 },
+    { name: "plain" },
+  ];
+  const scheduler = fakeScheduler(screenshots);
+  const triggers = new EntityTriggers(scheduler, screenshots);
+  triggers.handleStateChanged("binary_sensor.door_front");
+  triggers.handleStateChanged("binary_sensor.door_back");
+  triggers.handleStateChanged("sensor.unrelated");
+  await sleep(50);
+  assert.deepEqual(scheduler.captures, [["hall", "binary_sensor.door_front changed"]]);
+  triggers.stop();
+});
+
+test("stop cancels open windows", async () => {
+  const screenshots = [{ name: "hall", trigger_entities: ["light.*"], trigger_debounce: 0.02 }];
+  const scheduler = fakeScheduler(screenshots);
+  const triggers = new EntityTriggers(scheduler, screenshots);
+  triggers.handleStateChanged("light.hall");
+  triggers.stop();
+  await sleep(50);
+  assert.deepEqual(scheduler.captures, []);
+  assert.ok(new EntityTriggers(scheduler, [{ name: "plain" }]).isEmpty);
+});
+
+test("windows stay open across a reload and capture with the current job config", async () => {
+  const screenshots = [
+    { name: "hall", trigger_entities: ["light.*"], trigger_debounce: 0.02, path: "/old" },
+    { name: "kitchen", trigger_entities: ["light.*"], trigger_debounce: 0.02 },
+  ];
+  const scheduler = fakeScheduler(screenshots);
+  const triggers = new EntityTriggers(scheduler, screenshots);
+  triggers.handleStateChanged("light.hall");
+
+  // "kitchen" loses its triggers, "hall" moves to another path
+  const reloaded = [{ ...screenshots[0], path: "/new" }, { name: "kitchen" }];
+  scheduler.jobs = new Map(reloaded.map((config) => [config.name, { config }]));
+  const queued = [];
+  scheduler.queueCapture = (config) => queued.push(config.path);
+  triggers.update(reloaded);
+  await sleep(50);
+  assert.deepEqual(queued, ["/new"]);
+  triggers.stop();
+});
+
+test("the add-on's own status entities never trigger", async () => {
+  assert.ok(isPublishedEntity("sensor.dashboard_scheduler_hall_last_capture"));
+  assert.ok(isPublishedEntity("binary_sensor.dashboard_scheduler_hall_stale"));
+  assert.ok(!isPublishedEntity("sensor.hall_temperature"));
+
+  const screenshots = [{ name: "hall", trigger_entities: ["sensor.*"], trigger_debounce: 0.02 }];
+  const scheduler = fakeScheduler(screenshots);
+  const triggers = new EntityTriggers(scheduler, screenshots);
+  triggers.handleStateChanged("sensor.dashboard_scheduler_hall_last_capture");
+  await sleep(50);
+  assert.deepEqual(scheduler.captures, []);
+  triggers.handleStateChanged("sensor.hall_temperature");
+  await sleep(50);
+  assert.deepEqual(scheduler.captures, [["hall", "sensor.hall_temperature changed"]]);
+});
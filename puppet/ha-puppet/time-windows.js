@@ -0,0 +1,155 @@
+/**
+ * Daily time windows with optional day-of-week filters
+ *
+ * Used for "active_hours", "off_hours" and "interval_windows". A window is
+ * { start: "HH:MM", end: "HH:MM", days: "mon-fri" }, where days is
+ * optional and accepts names, ranges and comma separated lists (or an
+ * array of those). Windows whose end is before their start span midnight;
+ * their day filter applies to the day the window starts. A window can't
+ * start and end at the same time.
+ */
+
+const DAY_NAMES = ["sun", "mon", "tue", "wed", "thu", "fri", "sat"];
+const MINUTE_MS = 60_000;
+const TIME_REGEX = /^([01]?[0-9]|2[0-3]):([0-5][0-9])$/;
+
+function parseTime(value, label) {
+  const match = TIME_REGEX.exec(String(value));
+  if (!match) {
+    throw new Error(`Invalid ${label} time: ${value} (must be HH:MM format)`);
+  }
+  return parseInt(match[1], 10) * 60 + parseInt(match[2], 10);
+}
+
+/**
+ * Parse a day filter into the set of weekdays (0 = Sunday) it allows
+ * @param {string|string[]} days - e.g. "mon-fri", "sat,sun" or ["mon", "wed"]
+ * @returns {Set<number>}
+ */
+function parseDays(days) {
+  const parts = Array.isArray(days) ? days : String(days).split(",");
+  const result = new Set();
+  for (const part of parts) {
+    const [from, to = from] = String(part).trim().toLowerCase().split("-");
+    const start = DAY_NAMES.indexOf(from.substring(0, 3));
+    const end = DAY_NAMES.indexOf(to.substring(0, 3));
+    if (start === -1 || end === -1) {
+      throw new Error(`Invalid days "${part}" (use names like mon, tue or ranges like mon-fri)`);
+    }
+    // Ranges may wrap around the week, e.g. fri-mon
+    for (let day = start; ; day = (day + 1) % 7) {
+      result.add(day);
+      if (day === end) {
+        break;
+      }
+    }
+  }
+  return result;
+}
+
+export class TimeWindows {
+  /**
+   * @param {object|object[]} windows - One window or a list of them
+   * @param {string} label - Config key, used in errors and skip reasons
+   * @param {string} timezone - IANA timezone, defaults to the process local time
+   */
+  constructor(windows, label, timezone = undefined) {
+    this.label = label;
+    const list = Array.isArray(windows) ? windows : [windows];
+
+    this.windows = list.map((window, index) => {
+      const name = list.length > 1 ? `${label}[${index}]` : label;
+      if (!window || !window.start || !window.end) {
+        throw new Error(`${name} must contain both "start" and "end" properties`);
+      }
+      const days = window.days !== undefined ? parseDays(window.days) : null;
+      const description = `${window.start}-${window.end}` + (days ? ` ${window.days}` : "");
+      const start = parseTime(window.start, `${name} start`);
+      const end = parseTime(window.end, `${name} end`);
+      if (start === end) {
+        // The window would be empty and never match
+        throw new Error(`${name} start and end must differ (got ${window.start}-${window.end})`);
+      }
+      return { start, end, days, description, source: window };
+    });
+
+    try {
+      this.formatter = new Intl.DateTimeFormat("en-US", {
+        timeZone: timezone,
+        hourCycle: "h23",
+        hour: "numeric",
+        minute: "numeric",
+        weekday: "short",
+      });
+    } catch (err) {
+      throw new Error(`Invalid timezone "${timezone}"`);
+    }
+  }
+
+  get isEmpty() {
+    return this.windows.length === 0;
+  }
+
+  /**
+   * Find the first window a date falls in
+   * @param {Date} date
+   * @returns {object|null} Parsed window, its config entry is in "source"
+   */
+  find(date = new Date()) {
+    const fields = {};
+    for (const { type, value } of this.formatter.formatToParts(date)) {
+      fields[type] = value;
+    }
+    const minutes = parseInt(fields.hour, 10) * 60 + parseInt(fields.minute, 10);
+    const weekday = DAY_NAMES.indexOf(fields.weekday.toLowerCase());
+
+    for (const window of this.windows) {
+      let inWindow;
+      let startDay = weekday;
+      if (window.start <= window.end) {
+        // Same day range (e.g., 09:00 - 17:00)
+        inWindow = minutes >= window.start && minutes < window.end;
+      } else {
+        // Spans midnight (e.g., 22:00 - 06:00), after midnight it started yesterday
+        inWindow = minutes >= window.start || minutes < window.end;
+        if (minutes < window.end) {
+          startDay = (weekday + 6) % 7;
+        }
+      }
+      if (inWindow && (!window.days || window.days.has(startDay))) {
+        return window;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Find the window a date falls in
+   * @param {Date} date
+   * @returns {string|null} Description of the matching window, e.g. "06:00-22:00 mon-fri"
+   */
+  match(date = new Date()) {
+    return this.find(date)?.description ?? null;
+  }
+
+  /**
+   * First minute after a date at which another window (or none) applies
+   * @param {Date} from
+   * @param {Date} until - Stop looking after this time
+   * @returns {Date|null} null when nothing changes before "until"
+   */
+  nextChange(from, until) {
+    const current = this.find(from);
+    const start = Math.floor(from.getTime() / MINUTE_MS) * MINUTE_MS + MINUTE_MS;
+    for (let time = start; time <= until.getTime(); time += MINUTE_MS) {
+      if (this.find(new Date(time)) !== current) {
+        return new Date(time);
+      }
+    }
+    return null;
+  }
+
+  toString() {
+    return this.windows.map((window) => window.description).join(", ");
+  }
+}
@@ -0,0 +1,304 @@
+import sharp from "sharp";
+import { sendJson } from "./server.js";
+import { CronExpression } from "./cron.js";
+import { logger } from "./logger.js";
+
+/**
+ * Animated timelapses built from a job's capture history
+ *
+ * Frames come from the timestamped history files the FileManager keeps,
+ * so "history" must be enabled for the job. A timelapse is written to
+ * <name>/timelapse.<format> on the job's "timelapse.schedule", and can be
+ * rendered on demand at /timelapse/<name>.
+ */
+
+export const TIMELAPSE_FORMATS = ["webp", "gif"];
+
+const DEFAULTS = {
+  hours: 24,
+  frame_step: 0, // minutes between frames, 0 uses every history file
+  width: 400,
+  frame_delay: 200, // milliseconds per frame
+  format: "webp",
+};
+
+// Keeps memory bounded, longer selections are sampled evenly
+const MAX_FRAMES = 240;
+// Decoded frames are held in memory for the encoder, so wide or tall
+// timelapses get fewer frames
+const MAX_FRAME_BYTES = 128 * 1024 * 1024;
+
+const CONTENT_TYPES = { webp: "image/webp", gif: "image/gif" };
+
+/**
+ * Merge timelapse settings over the defaults and validate them
+ * @param {object} settings - Job "timelapse" config
+ * @param {object} overrides - e.g. query parameters of an on-demand request
+ * @returns {{hours: number, frame_step: number, width: number, frame_delay: number, format: string}}
+ */
+export function resolveTimelapseOptions(settings = {}, overrides = {}) {
+  const options = { ...DEFAULTS };
+  for (const source of [settings, overrides]) {
+    for (const key of Object.keys(DEFAULTS)) {
+      if (source[key] !== undefined && source[key] !== null) {
+        options[key] = key === "format" ? source[key] : parseFloat(source[key]);
+      }
+    }
+  }
+
+  if (!(options.hours > 0)) {
+    throw new Error('"hours" must be greater than 0');
+  }
+  if (!(options.frame_step >= 0)) {
+    throw new Error('"frame_step" must be 0 or more minutes');
+  }
+  if (!(options.width >= 16 && options.width <= 2000)) {
+    throw new Error('"width" must be between 16 and 2000 pixels');
+  }
+  if (!(options.frame_delay >= 20 && options.frame_delay <= 10000)) {
+    throw new Error('"frame_delay" must be between 20 and 10000 milliseconds');
+  }
+  if (!TIMELAPSE_FORMATS.includes(options.format)) {
+    throw new Error(`"format" must be one of: ${TIMELAPSE_FORMATS.join(", ")}`);
+  }
+  options.width = Math.round(options.width);
+  return options;
+}
+
+/**
+ * Pick the history entries that make up a timelapse
+ * @param {object[]} entries - From FileManager.listHistory(), newest first
+ * @param {object} options - From resolveTimelapseOptions()
+ * @param {number} now - Timestamp (ms) the timelapse ends at
+ * @returns {object[]} Oldest first
+ */
+export function selectFrames(entries, { hours, frame_step }, now = Date.now()) {
+  const since = now - hours * 3_600_000;
+  const stepMs = frame_step * 60_000;
+
+  const frames = [];
+  let lastTime = -Infinity;
+  for (const entry of [...entries].reverse()) {
+    const time = entry.time.getTime();
+    if (time < since || time - lastTime < stepMs) {
+      continue;
+    }
+    frames.push(entry);
+    lastTime = time;
+  }
+
+  return sampleEvenly(frames, MAX_FRAMES);
+}
+
+/**
+ * Spread a selection of at most "count" items over the whole list
+ * @param {Array} items
+ * @param {number} count
+ * @returns {Array} Keeps the first and last item
+ */
+function sampleEvenly(items, count) {
+  if (items.length <= count) {
+    return items;
+  }
+  if (count <= 1) {
+    return items.slice(-1);
+  }
+  const sampled = [];
+  for (let i = 0; i < count; i++) {
+    sampled.push(items[Math.round((i * (items.length - 1)) / (count - 1))]);
+  }
+  return sampled;
+}
+
+/**
+ * Render history entries as an animated image
+ * The frames are decoded straight into one buffer of at most
+ * MAX_FRAME_BYTES, longer selections are sampled down to fit it.
+ * @param {object[]} frames - Entries from selectFrames(), oldest first
+ * @param {object} options - From resolveTimelapseOptions()
+ * @returns {Promise<Buffer>}
+ */
+export async function createTimelapse(frames, { width, frame_delay, format }) {
+  let height;
+  for (const frame of frames) {
+    try {
+      const metadata = await sharp(frame.path).metadata();
+      height = Math.max(1, Math.round((width * metadata.height) / metadata.width));
+      break;
+    } catch (err) {
+      // e.g. BMP history, which sharp cannot read
+      logger.debug(`Skipping timelapse frame ${frame.path}:`, err.message);
+    }
+  }
+  if (height === undefined) {
+    throw new Error("No readable history frames in the selected time range");
+  }
+
+  const frameBytes = width * height * 4;
+  const selected = sampleEvenly(frames, Math.floor(MAX_FRAME_BYTES / frameBytes));
+  const pixels = Buffer.alloc(frameBytes * selected.length);
+  let count = 0;
+  for (const frame of selected) {
+    try {
+      const data = await sharp(frame.path)
+        .resize(width, height, { fit: "fill" })
+        .ensureAlpha()
+        .raw()
+        .toBuffer();
+      // Only one decoded frame is around at a time
+      data.copy(pixels, count * frameBytes);
+      count++;
+    } catch (err) {
+      logger.debug(`Skipping timelapse frame ${frame.path}:`, err.message);
+    }
+  }
+  if (count === 0) {
+    throw new Error("No readable history frames in the selected time range");
+  }
+
+  const image = sharp(pixels.subarray(0, count * frameBytes), {
+    raw: { width, height: height * count, channels: 4, pageHeight: height },
+  });
+  const animation = { loop: 0, delay: new Array(count).fill(frame_delay) };
+  return format === "gif"
+    ? image.gif(animation).toBuffer()
+    : image.webp({ ...animation, quality: 80 }).toBuffer();
+}
+
+/**
+ * Generates timelapses on a schedule and on demand
+ */
+export class Timelapses {
+  /**
+   * @param {ScreenshotScheduler} scheduler - Scheduler owning the screenshot jobs
+   * @param {FileManager} fileManager - Where the history files are stored
+   */
+  constructor(scheduler, fileManager) {
+    this.scheduler = scheduler;
+    this.fileManager = fileManager;
+    this.timers = new Map();
+    // Renders run one at a time, they hold every frame in memory
+    this.queue = Promise.resolve();
+  }
+
+  register(server) {
+    server.route("GET", /^\/timelapse\/([^/]+)$/, (request, response, { url, params }) =>
+      this.handleTimelapse(response, url, params[0]),
+    );
+  }
+
+  /**
+   * Render a timelapse for a job
+   * @param {object} screenshotConfig - Job config, must have history enabled
+   * @param {object} options - From resolveTimelapseOptions()
+   * @returns {Promise<{image: Buffer, frames: number}>}
+   */
+  render(screenshotConfig, options) {
+    const run = async () => {
+      const frames = selectFrames(this.fileManager.listHistory(screenshotConfig.name), options);
+      const image = await createTimelapse(frames, options);
+      return { image, frames: frames.length };
+    };
+    const result = this.queue.then(run);
+    this.queue = result.catch(() => {});
+    return result;
+  }
+
+  async handleTimelapse(response, url, name) {
+    const job = this.scheduler.jobs.get(name);
+    if (!job) {
+      sendJson(response, 404, { error: `Unknown screenshot "${name}"` });
+      return;
+    }
+    if (!job.config.history) {
+      sendJson(response, 409, { error: `Screenshot "${name}" does not keep history` });
+      return;
+    }
+    if (job.config.format === "bmp") {
+      sendJson(response, 409, { error: `Screenshot "${name}" keeps BMP history, which can't be animated` });
+      return;
+    }
+
+    let options;
+    try {
+      options = resolveTimelapseOptions(
+        job.config.timelapse,
+        Object.fromEntries(url.searchParams.entries()),
+      );
+    } catch (err) {
+      sendJson(response, 400, { error: err.message });
+      return;
+    }
+
+    let result;
+    try {
+      result = await this.render(job.config, options);
+    } catch (err) {
+      sendJson(response, 404, { error: err.message });
+      return;
+    }
+    response.writeHead(200, {
+      "Content-Type": CONTENT_TYPES[options.format],
+      "Content-Length": result.image.length,
+      "Cache-Control": "no-cache",
+    });
+    response.end(result.image);
+  }
+
+  /**
+   * Render and save the timelapse of a job
+   */
+  async generate(screenshotConfig) {
+    const { name } = screenshotConfig;
+    const options = resolveTimelapseOptions(screenshotConfig.timelapse);
+    const start = Date.now();
+    try {
+      const { image, frames } = await this.render(screenshotConfig, options);
+      const path = this.fileManager.saveTimelapse(name, image, options.format);
+      logger.info(`✓ Timelapse of "${name}" saved to ${path} (${frames} frames, ${Date.now() - start}ms)`);
+    } catch (err) {
+      logger.warn(`Timelapse of "${name}" failed:`, err.message);
+    }
+  }
+
+  /**
+   * Schedule jobs that have a "timelapse.schedule"
+   * @param {object[]} screenshots - Screenshot configs
+   * @param {string} timezone - Default timezone for the schedules
+   */
+  start(screenshots, timezone) {
+    for (const screenshot of screenshots) {
+      const schedule = screenshot.timelapse?.schedule;
+      if (!schedule) {
+        continue;
+      }
+      const cron = new CronExpression(schedule, screenshot.timezone || timezone);
+      logger.info(`Timelapse of "${screenshot.name}" scheduled on "${schedule}"`);
+      this.scheduleNext(screenshot, cron);
+    }
+  }
+
+  scheduleNext(screenshot, cron) {
+    const now = new Date();
+    const next = cron.next(now);
+    // Same ~24.8 day setTimeout limit as the scheduler's cron jobs
+    const delay = Math.min(next - now, 2 ** 31 - 1);
+    const timerId = setTimeout(async () => {
+      if (Date.now() >= next.getTime()) {
+        await this.generate(screenshot);
+      }
+      // Not when stopped (or restarted) while generating
+      if (this.timers.get(screenshot.name) === timerId) {
+        this.scheduleNext(screenshot, cron);
+      }
+    }, delay);
+    this.timers.set(screenshot.name, timerId);
+  }
+
+  stop() {
+    for (const timerId of this.timers.values()) {
+      clearTimeout(timerId);
+    }
+    this.timers.clear();
+  }
+}
@@ -0,0 +1,118 @@
+import { isPublishedEntity } from "./ha-entities.js";
+import { logger } from "./logger.js";
+
+export const DEFAULT_TRIGGER_DEBOUNCE = 2; // seconds
+
+/**
+ * Convert an entity ID glob (e.g. binary_sensor.door_*) into a RegExp
+ * Supports "*" (any characters) and "?" (a single character).
+ */
+export function globToRegExp(pattern) {
+  const escaped = pattern
+    .split("")
+    .map((char) => {
+      if (char === "*") {
+        return ".*";
+      } else if (char === "?") {
+        return ".";
+      }
+      return char.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${escaped}$`);
+}
+
+/**
+ * Queues captures when watched Home Assistant entities change state
+ *
+ * Each job lists entity IDs or globs in "trigger_entities". The first
+ * matching state change opens a debounce window of "trigger_debounce"
+ * seconds; one capture runs when the window closes, however many changes
+ * arrived in it. The status entities the add-on publishes never trigger.
+ */
+export class EntityTriggers {
+  /**
+   * @param {ScreenshotScheduler} scheduler - Scheduler that runs the captures
+   * @param {object[]} screenshots - Screenshot configs, jobs without trigger_entities are ignored
+   */
+  constructor(scheduler, screenshots) {
+    this.scheduler = scheduler;
+    this.triggers = [];
+    this.timers = new Map();
+    this.update(screenshots);
+  }
+
+  /**
+   * Apply a reloaded configuration
+   * Debounce windows of jobs that still have triggers stay open, so a state
+   * change that arrived just before the reload still gets its capture.
+   * @param {object[]} screenshots - Screenshot configs, jobs without trigger_entities are ignored
+   */
+  update(screenshots) {
+    this.triggers = [];
+    for (const screenshot of screenshots) {
+      if (!screenshot.trigger_entities?.length) {
+        continue;
+      }
+      this.triggers.push({
+        name: screenshot.name,
+        patterns: screenshot.trigger_entities.map(globToRegExp),
+        debounceMs:
+          (screenshot.trigger_debounce !== undefined
+            ? parseFloat(screenshot.trigger_debounce)
+            : DEFAULT_TRIGGER_DEBOUNCE) * 1000,
+      });
+      logger.info(
+        `"${screenshot.name}" also captures on changes to: ${screenshot.trigger_entities.join(", ")}`,
+      );
+    }
+
+    for (const [name, timerId] of this.timers) {
+      if (!this.triggers.some((trigger) => trigger.name === name)) {
+        clearTimeout(timerId);
+        this.timers.delete(name);
+      }
+    }
+  }
+
+  get isEmpty() {
+    return this.triggers.length === 0;
+  }
+
+  /**
+   * Handle a state_changed event from Home Assistant
+   * @param {string} entityId - Entity that changed
+   */
+  handleStateChanged(entityId) {
+    if (isPublishedEntity(entityId)) {
+      return;
+    }
+    for (const trigger of this.triggers) {
+      const { name } = trigger;
+      if (this.timers.has(name)) {
+        continue;
+      }
+      if (!trigger.patterns.some((pattern) => pattern.test(entityId))) {
+        continue;
+      }
+
+      logger.debug(`"${name}" triggered by ${entityId}, capturing in ${trigger.debounceMs}ms`);
+      const timerId = setTimeout(() => {
+        this.timers.delete(name);
+        // Look the job up when the window closes, a reload may have changed it
+        const job = this.scheduler.jobs.get(name);
+        if (job) {
+          this.scheduler.queueCapture(job.config, `${entityId} changed`);
+        }
+      }, trigger.debounceMs);
+      this.timers.set(name, timerId);
+    }
+  }
+
+  stop() {
+    for (const timerId of this.timers.values()) {
+      clearTimeout(timerId);
+    }
+    this.timers.clear();
+  }
+}
@@ -0,0 +1,217 @@
+import { createHmac } from "node:crypto";
+import { basename } from "path";
+import { hassToken } from "./const.js";
+import { logger } from "./logger.js";
+import { sendJson, readJsonBody } from "./server.js";
+
+// Refresh rate (seconds) handed out while the image has not been captured yet
+const NOT_READY_REFRESH_RATE = 60;
+
+/**
+ * TRMNL "bring your own server" device API
+ *
+ * Serves /api/setup, /api/display and /api/log so TRMNL devices can point
+ * straight at the add-on. Devices in the registry are matched by MAC address
+ * and show their assigned screenshot or playlist. Other devices are only
+ * accepted when a default screenshot is configured. Devices without a
+ * configured API key get one derived from their MAC address, so keys stay
+ * stable across restarts without storing anything.
+ */
+export class TrmnlApi {
+  /**
+   * @param {object} trmnlConfig - Validated "trmnl" config section
+   * @param {ScreenshotScheduler} scheduler - Scheduler owning the screenshot jobs
+   * @param {FileManager} fileManager - Where the scheduled images are stored
+   * @param {DeviceRegistry} devices - Registered devices
+   */
+  constructor(trmnlConfig, scheduler, fileManager, devices) {
+    this.config = trmnlConfig;
+    this.scheduler = scheduler;
+    this.fileManager = fileManager;
+    this.devices = devices;
+
+    // API keys seen from devices, so /api/log works without an ID header
+    this.knownKeys = new Map();
+  }
+
+  register(server) {
+    server
+      .route("GET", "/api/setup", (request, response) =>
+        this.handleSetup(request, response),
+      )
+      .route("GET", "/api/display", (request, response) =>
+        this.handleDisplay(request, response),
+      )
+      .route("POST", "/api/log", (request, response) =>
+        this.handleLog(request, response),
+      );
+  }
+
+  /**
+   * Look up the API key, friendly ID and registry entry for a device
+   * @param {string} macAddress - Device MAC address (ID header)
+   * @returns {object|null} null if the device is neither registered nor covered by the default screenshot
+   */
+  deviceCredentials(macAddress) {
+    const device = this.devices.find({ mac: macAddress });
+    if (!device && !this.config.screenshot) {
+      return null;
+    }
+
+    const digest = createHmac("sha256", hassToken)
+      .update(macAddress.toUpperCase())
+      .digest("hex");
+    return {
+      device,
+      apiKey: device?.apiKey || digest.substring(0, 32),
+      friendlyId: device?.id || digest.substring(32, 38).toUpperCase(),
+    };
+  }
+
+  /**
+   * Resolve the device making a request from its ID and Access-Token headers
+   * @returns {object|null} { macAddress, device }, or null if the device is not authorized
+   */
+  authenticate(request) {
+    let macAddress = request.headers["id"];
+    const accessToken = request.headers["access-token"];
+    if (!accessToken) {
+      return null;
+    }
+    if (!macAddress) {
+      macAddress =
+        this.knownKeys.get(accessToken) ||
+        this.devices.find({ apiKey: accessToken })?.mac;
+      if (!macAddress) {
+        return null;
+      }
+    }
+    const credentials = this.deviceCredentials(macAddress);
+    if (!credentials || credentials.apiKey !== accessToken) {
+      return null;
+    }
+    this.knownKeys.set(accessToken, macAddress);
+    return { macAddress, device: credentials.device };
+  }
+
+  /**
+   * Build the image URL, filename and refresh rate for a device
+   * @param {object} device - Registry entry, or undefined for the default screenshot
+   * @returns {object|null} null if the image has not been captured yet
+   */
+  currentImage(device) {
+    const jobName = device
+      ? this.devices.currentJobName(device)
+      : this.config.screenshot;
+    const job = this.scheduler.jobs.get(jobName);
+    if (!job) {
+      return null;
+    }
+    const { config } = job;
+    const interval = this.scheduler.currentInterval(config);
+    const einkColors = config.eink ? parseInt(config.eink) : undefined;
+    const latest = this.fileManager.getLatestFile(
+      config.name,
+      config.format,
+      einkColors,
+    );
+    if (!latest) {
+      return null;
+    }
+
+    const localUrl = this.fileManager.getLocalUrl(
+      config.name,
+      config.format,
+      einkColors,
+    );
+    // The filename changes with every capture, which is how the
+    // firmware decides whether it needs to download the image again
+    const extension = basename(latest.path).split(".").pop();
+    return {
+      image_url: new URL(localUrl, this.config.image_base_url).toString(),
+      filename: `${config.name}-${latest.mtime.getTime()}.${extension}`,
+      refresh_rate: device
+        ? this.devices.refreshRate(device, interval)
+        : interval,
+    };
+  }
+
+  async handleSetup(request, response) {
+    const macAddress = request.headers["id"];
+    if (!macAddress) {
+      sendJson(response, 404, { status: 404, message: "Missing ID header" });
+      return;
+    }
+
+    const credentials = this.deviceCredentials(macAddress);
+    if (!credentials) {
+      logger.warn(`[TRMNL] Rejected setup for unregistered device ${macAddress}`);
+      sendJson(response, 404, { status: 404, message: "Device is not registered" });
+      return;
+    }
+
+    const { apiKey, friendlyId, device } = credentials;
+    this.knownKeys.set(apiKey, macAddress);
+    logger.info(`[TRMNL] Setup for device ${macAddress} (${friendlyId}), firmware ${request.headers["fw-version"] || "unknown"}`);
+
+    const image = this.currentImage(device);
+    sendJson(response, 200, {
+      status: 200,
+      api_key: apiKey,
+      friendly_id: friendlyId,
+      image_url: image ? image.image_url : null,
+      message: `Registered ${friendlyId}`,
+    });
+  }
+
+  async handleDisplay(request, response) {
+    const auth = this.authenticate(request);
+    if (!auth) {
+      sendJson(response, 401, { status: 401, message: "Unknown device or invalid Access-Token" });
+      return;
+    }
+
+    logger.debug(
+      `[TRMNL] Display request from ${auth.macAddress}, battery ${request.headers["battery-voltage"] || "?"}V, RSSI ${request.headers["rssi"] || "?"}`,
+    );
+
+    const image = this.currentImage(auth.device);
+    if (!image) {
+      sendJson(response, 200, {
+        status: 202,
+        image_url: null,
+        filename: null,
+        refresh_rate: NOT_READY_REFRESH_RATE,
+        reset_firmware: false,
+        update_firmware: false,
+        firmware_url: null,
+      });
+      return;
+    }
+
+    sendJson(response, 200, {
+      status: 0,
+      ...image,
+      reset_firmware: false,
+      update_firmware: false,
+      firmware_url: null,
+    });
+  }
+
+  async handleLog(request, response) {
+    const auth = this.authenticate(request);
+    if (!auth) {
+      sendJson(response, 401, { status: 401, message: "Unknown device or invalid Access-Token" });
+      return;
+    }
+
+    const body = await readJsonBody(request);
+    const entries = body.log?.logs_array || body.logs || [];
+    for (const entry of entries) {
+      logger.info(`[TRMNL] ${auth.macAddress}:`, typeof entry === "string" ? entry : JSON.stringify(entry));
+    }
+
+    response.statusCode = 204;
+    response.end();
+  }
+}